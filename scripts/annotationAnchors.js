@@ -0,0 +1,110 @@
+/*
+ Line-anchor model annotations against the diff they were produced for.
+
+ Models regularly point a few lines off, or at code the author never touched.
+ Each annotation is checked against the added lines of its file:
+ - on an added line: kept as is
+ - within `snapDistance` lines of one: moved to the nearest added line, with
+   the model's line kept as `originalLine`
+ - anywhere else: flagged with `outsideDiff: true`, or dropped
+ Findings on the same file, line and category are then merged, keeping the
+ most severe one.
+*/
+
+const path = require("path");
+const { parseHunksAddedLines } = require("./diffUtils.js");
+const { SEVERITY_RANK } = require("./reviewGate.js");
+
+// Models write "./src/App.tsx" or "src\App.tsx" as often as "src/App.tsx"
+function samePath(a, b) {
+	const normalize = (p) => path.posix.normalize(String(p).replace(/\\/g, "/"));
+	return normalize(a) === normalize(b);
+}
+
+// Sorted new-file line numbers of every added line. Uses the collector's
+// hunks when present and re-parses the diff otherwise.
+function addedLinesOf(file) {
+	const hunks = Array.isArray(file.hunks)
+		? file.hunks
+		: parseHunksAddedLines(file.diffUnified || "");
+	const lines = hunks.flatMap((h) => h.additions.map((a) => a.line));
+	return [...new Set(lines)].sort((a, b) => a - b);
+}
+
+// Nearest added line within `maxDistance`; ties go to the earlier line
+function nearestLine(addedLines, line, maxDistance) {
+	let best = null;
+	for (const candidate of addedLines) {
+		const distance = Math.abs(candidate - line);
+		if (distance > maxDistance) continue;
+		if (best === null || distance < Math.abs(best - line)) best = candidate;
+	}
+	return best;
+}
+
+function dedupe(annotations) {
+	const byKey = new Map();
+	for (const a of annotations) {
+		const key = `${a.file}\0${a.line}\0${a.category}`;
+		const existing = byKey.get(key);
+		if (
+			!existing ||
+			(SEVERITY_RANK[a.severity] || 0) > (SEVERITY_RANK[existing.severity] || 0)
+		) {
+			byKey.set(key, a);
+		}
+	}
+	return [...byKey.values()];
+}
+
+// Returns { annotations, stats: { snapped, outsideDiff, dropped, duplicates } }
+function anchorAnnotations(
+	annotations,
+	filePath,
+	file,
+	{ snapDistance = 3, outsideDiff = "flag" } = {}
+) {
+	const addedLines = addedLinesOf(file);
+	const stats = { snapped: 0, outsideDiff: 0, dropped: 0, duplicates: 0 };
+
+	const anchored = [];
+	for (const a of annotations) {
+		const inFile = samePath(a.file, filePath);
+		const onAddedLine = inFile && addedLines.includes(a.line);
+		if (onAddedLine) {
+			anchored.push({ ...a, file: filePath });
+			continue;
+		}
+
+		const snapTo =
+			inFile && a.line > 0
+				? nearestLine(addedLines, a.line, snapDistance)
+				: null;
+		if (snapTo !== null) {
+			stats.snapped += 1;
+			anchored.push({
+				...a,
+				file: filePath,
+				line: snapTo,
+				originalLine: a.line,
+			});
+			continue;
+		}
+
+		stats.outsideDiff += 1;
+		if (outsideDiff === "drop") {
+			stats.dropped += 1;
+		} else {
+			anchored.push({ ...a, outsideDiff: true });
+		}
+	}
+
+	const deduped = dedupe(anchored);
+	stats.duplicates = anchored.length - deduped.length;
+	return {
+		annotations: deduped.sort((x, y) => (x.line || 0) - (y.line || 0)),
+		stats,
+	};
+}
+
+module.exports = { anchorAnnotations, addedLinesOf };
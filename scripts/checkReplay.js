@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/*
+ Review a fixed payload with the replay provider (llmClient.js) and check
+ the result against the fixture, so the review pipeline can be exercised
+ without a model server. Run with `npm run review-replay-check`.
+
+ scripts/fixtures/replay holds the collector payload, the review config,
+ the expected review and, under answers/, the recorded model answer. The
+ review runs in a scratch directory with an empty codebase index, so the
+ prompt depends on the fixture alone.
+
+ A prompt change makes the recorded answer stale. Record a new one (and
+ delete the old file) against a running model server:
+   AI_REVIEW_LLM_PROVIDER=ollama AI_REVIEW_LLM_RECORD=true npm run review-replay-check
+*/
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const FIXTURE_DIR = path.join(__dirname, "fixtures", "replay");
+
+// Before the pipeline is loaded: the index lives in the working directory,
+// and nothing from this machine's config, cache or embeddings may reach
+// the prompt
+process.env.AI_REVIEW_CONFIG = path.join(FIXTURE_DIR, "ai-review.config.json");
+process.env.AI_REVIEW_LLM_FIXTURES = path.join(FIXTURE_DIR, "answers");
+process.env.AI_REVIEW_CACHE = "false";
+process.env.AI_EMBED_PROVIDER = "offline";
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "ai-review-replay-"));
+process.chdir(scratch);
+
+const { initDB, cleanup } = require("./contextExtractor.js");
+const { reviewPayload } = require("./generateReview.js");
+const { loadReviewConfig } = require("./reviewConfig.js");
+const { log } = require("../utils/logger.js");
+
+function readFixture(name) {
+	return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, name), "utf8"));
+}
+
+// The fields the fixture pins; anchoring and suppression add others
+function comparable(annotation) {
+	const { file, line, severity, category, message } = annotation;
+	return { file, line, severity, category, message };
+}
+
+async function main() {
+	const db = initDB();
+	try {
+		const payload = readFixture("payload.json");
+		const expected = readFixture("expected.json");
+		const reviewed = await reviewPayload(db, payload, loadReviewConfig());
+
+		assert.strictEqual(reviewed.reviews.length, expected.reviews.length);
+		reviewed.reviews.forEach(({ filePath, review }, i) => {
+			const want = expected.reviews[i];
+			assert.strictEqual(filePath, want.filePath);
+			assert.ok(
+				!review.failure,
+				`${filePath}: ${review.failure && review.failure.message}`
+			);
+			assert.deepStrictEqual(
+				review.annotations.map(comparable),
+				want.annotations
+			);
+			assert.strictEqual(review.summaryMarkdown, want.summaryMarkdown);
+		});
+		log.success("Replayed review matches the fixture");
+	} catch (error) {
+		log.error(`Replay check failed: ${error.message}`);
+		process.exitCode = 1;
+	} finally {
+		await cleanup(db);
+		fs.rmSync(scratch, { recursive: true, force: true });
+	}
+}
+
+main();
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /*
  Collect staged git changes and write a JSON payload for AI code review.
- Optionally POST the payload to a local review server.
+ Optionally POST the payload to a local review server (scripts/reviewServer.js).
 
  Env flags:
  - AI_REVIEW_ENABLED=true|false (default: true)
@@ -9,6 +9,13 @@
  - AI_REVIEW_SERVER_URL=http://localhost:5959/pre-commit
  - AI_REVIEW_OUTPUT_FILE=.webpack-cache/ai-review/last-precommit-input.json
  - AI_REVIEW_FAIL_ON_ERROR=true|false (default: false)
+ - AI_REVIEW_SECRETS_BLOCK=true|false (default: secrets.block in
+   ai-review.config.json, else true) block the commit when added lines
+   contain suspected secrets. Suspected values are masked in the payload
+   either way.
+ - AI_REVIEW_REDACT=true|false (default: redaction.enabled in
+   ai-review.config.json) mask secrets, emails, absolute paths and denied
+   files in the posted payload; see redaction.js
 */
 
 const { execSync, spawn } = require('child_process');
@@ -16,6 +23,11 @@ const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const https = require('https');
+const { detectLanguageFromPath } = require('./languages.js');
+const { parseHunksAddedLines, extractTodoFixme } = require('./diffUtils.js');
+const { loadReviewConfig } = require('./reviewConfig.js');
+const { scanAdditions, maskText, maskFileEntries, formatSecretFinding } = require('./secretScanner.js');
+const { createRedactor, redactPayload, writeManifest } = require('./redaction.js');
 
 function getEnvFlag(name, def) {
   const val = process.env[name];
@@ -55,10 +67,13 @@ function collectGitInfo() {
   const root = safeRun('git rev-parse --show-toplevel');
   const branch = safeRun('git rev-parse --abbrev-ref HEAD') || 'HEAD';
   const head = safeRun('git rev-parse HEAD');
+  // Identifies the staged content, so later steps can tell whether a review
+  // on disk belongs to this commit attempt
+  const tree = safeRun('git write-tree');
   const userName = safeRun('git config user.name');
   const userEmail = safeRun('git config user.email');
 
-  return { root, branch, head, userName, userEmail };
+  return { root, branch, head, tree, userName, userEmail };
 }
 
 function collectStagedFiles() {
@@ -110,42 +125,6 @@ function collectUnifiedDiff() {
   return diff;
 }
 
-function detectLanguageFromPath(filePath) {
-  const ext = (filePath.split('.').pop() || '').toLowerCase();
-  switch (ext) {
-    case 'ts':
-      return 'typescript';
-    case 'tsx':
-      return 'tsx';
-    case 'js':
-      return 'javascript';
-    case 'jsx':
-      return 'jsx';
-    case 'css':
-      return 'css';
-    case 'scss':
-      return 'scss';
-    case 'json':
-      return 'json';
-    case 'md':
-    case 'mdx':
-      return 'markdown';
-    case 'html':
-    case 'htm':
-    case 'ejs':
-      return 'html';
-    case 'yml':
-    case 'yaml':
-      return 'yaml';
-    default:
-      return ext || 'unknown';
-  }
-}
-
-function isBinaryDiffText(diffText) {
-  return /\nBinary files .* differ\n?/.test(diffText);
-}
-
 function collectPerFileDiff(filePath, options = { ignoreWhitespace: false }) {
   const flags = options.ignoreWhitespace ? ' -w --ignore-blank-lines' : '';
   const cmd = `git diff --cached --unified=0 --no-color${flags} -- ${JSON.stringify(filePath)}`;
@@ -153,65 +132,6 @@ function collectPerFileDiff(filePath, options = { ignoreWhitespace: false }) {
   return diffText;
 }
 
-function parseHunksAddedLines(diffText) {
-  // Parses unified diff and returns hunks with added lines and their new line numbers
-  // Structure: [{ rangeNew: { start, count }, additions: [{ line, content }] }]
-  const hunks = [];
-  if (!diffText || isBinaryDiffText(diffText)) return hunks;
-  const lines = diffText.split(/\r?\n/);
-  let idx = 0;
-  let currentNewLine = 0;
-  while (idx < lines.length) {
-    const line = lines[idx];
-    // Find hunk header
-    const m = /^@@\s+-\d+(?:,\d+)?\s+\+(\d+)(?:,(\d+))?\s+@@/.exec(line);
-    if (m) {
-      const hunkNewStart = parseInt(m[1], 10);
-      const hunkNewCount = m[2] ? parseInt(m[2], 10) : 1;
-      currentNewLine = hunkNewStart;
-      idx += 1;
-      const additions = [];
-      // Read hunk body until next hunk/header or EOF
-      while (idx < lines.length && !lines[idx].startsWith('@@') && !lines[idx].startsWith('diff --git ')) {
-        const body = lines[idx];
-        if (body.startsWith(' ')) {
-          // context line
-          currentNewLine += 1;
-        } else if (body.startsWith('+')) {
-          additions.push({ line: currentNewLine, content: body.slice(1) });
-          currentNewLine += 1;
-        } else if (body.startsWith('-')) {
-          // deletion; does not advance new line
-        } else if (body.startsWith('\\ No newline at end of file')) {
-          // ignore
-        }
-        idx += 1;
-      }
-      hunks.push({ rangeNew: { start: hunkNewStart, count: hunkNewCount }, additions });
-      continue;
-    }
-    idx += 1;
-  }
-  return hunks;
-}
-
-function extractTodoFixme(additionsByFile) {
-  const results = [];
-  const re = /\b(TODO|FIXME|HACK|XXX)\b[:\- ]?(.*)/i;
-  for (const item of additionsByFile) {
-    const { path: filePath, hunks } = item;
-    for (const h of hunks) {
-      for (const add of h.additions) {
-        const m = re.exec(add.content);
-        if (m) {
-          results.push({ file: filePath, line: add.line, tag: m[1].toUpperCase(), text: (m[2] || '').trim() });
-        }
-      }
-    }
-  }
-  return results;
-}
-
 function attachStats(files, numstatMap) {
   return files.map((f) => {
     const stat = numstatMap.get(f.path) || { added: 0, deleted: 0 };
@@ -242,9 +162,10 @@ function postJson(urlStr, data, timeoutMs = 2000) {
           timeout: timeoutMs,
         },
         (res) => {
-          // Drain response
-          res.resume();
-          resolve({ statusCode: res.statusCode });
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => (body += chunk));
+          res.on('end', () => resolve({ statusCode: res.statusCode, body }));
         }
       );
       req.on('error', reject);
@@ -303,6 +224,25 @@ async function main() {
       });
     }
 
+    // Before anything is written or posted: a blocked commit stops here;
+    // otherwise suspected secrets are masked out of the diffs and only
+    // described, masked, in notes.secrets
+    const config = loadReviewConfig();
+    const secretsConfig = config.secrets;
+    const secrets = scanAdditions(perFile, secretsConfig);
+    if (secrets.findings.length) {
+      console.error(`[ai-review][secrets] ${secrets.findings.length} suspected secret(s) in staged changes:`);
+      for (const f of secrets.findings) console.error(formatSecretFinding(f));
+      if (secretsConfig.block) {
+        console.error(
+          '[ai-review][secrets] Blocking the commit. Remove them, add false positives to secrets.allowlist, or re-run with AI_REVIEW_SECRETS_BLOCK=false.'
+        );
+        process.exit(1);
+      }
+    }
+
+    maskFileEntries(perFile, secrets.values);
+
     const todoFixme = extractTodoFixme(perFile);
 
     const payload = {
@@ -312,6 +252,7 @@ async function main() {
         root: git.root,
         branch: git.branch,
         head: git.head || null,
+        tree: git.tree || null,
       },
       author: {
         name: git.userName || null,
@@ -323,11 +264,12 @@ async function main() {
         files: filesWithStats,
       },
       diff: {
-        unified: unifiedDiff,
+        unified: maskText(unifiedDiff, secrets.values),
         byFile: perFile,
       },
       notes: {
         todoFixme,
+        secrets: secrets.findings,
       },
       meta: {
         cwd: process.cwd(),
@@ -341,8 +283,16 @@ async function main() {
 
     if (SHOULD_POST) {
       try {
-        // Post initial payload without reviews
-        await postJson(SERVER_URL, payload, 3000);
+        // Post initial payload without reviews; the local file keeps the
+        // author and paths, the server only gets the redacted copy
+        const redactor = createRedactor(config, { root: git.root || process.cwd() });
+        const posted = redactPayload(payload, redactor);
+        writeManifest('post', redactor);
+        const res = await postJson(SERVER_URL, posted, 3000);
+        const job = res.statusCode === 202 ? JSON.parse(res.body) : null;
+        if (job && job.url) {
+          console.log(`[ai-review][collector] Review queued: ${new URL(job.url, SERVER_URL).href}`);
+        }
       } catch (e) {
         // Best-effort: do not block commit when server is down
       }
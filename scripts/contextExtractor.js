@@ -2,47 +2,64 @@
 const sqlite3 = require("sqlite3");
 const fs = require("fs");
 const path = require("path");
-const math = require("mathjs"); // for cosine similarity
+const crypto = require("crypto");
 const { parse } = require("@babel/parser");
 const traverseDefault = require("@babel/traverse");
 const traverse = traverseDefault.default || traverseDefault;
+const {
+	createEmbeddingProvider,
+	tokenize,
+} = require("./embeddingProviders.js");
+const { createResolver } = require("./moduleResolver.js");
+const { encodeVector, buildIndex, queryIndex } = require("./vectorIndex.js");
+const { createGlobMatcher } = require("./globMatch.js");
+const { detectLanguageFromPath } = require("./languages.js");
+const { log } = require("../utils/logger.js");
+const { loadReviewConfig } = require("./reviewConfig.js");
+const { createRedactor } = require("./redaction.js");
+const { createLlmClient } = require("./llmClient.js");
 
 const DB_PATH = path.join(process.cwd(), ".cache/codebase.db");
 
-// Add logger utility
-const log = {
-	step: (msg) => console.log(`\n🔵 ${msg}`),
-	success: (msg) => console.log(`✅ ${msg}`),
-	warn: (msg) => console.log(`⚠️  ${msg}`),
-	error: (msg) => console.error(`❌ ${msg}`),
-	info: (msg) => console.log(`ℹ️  ${msg}`),
-};
+let embeddingProvider = null;
 
-// Run Ollama embedding model
-async function embed(text) {
-	log.step("Generating embeddings...");
+// Provider from the config's `embeddings` section (see embeddingProviders.js)
+function getEmbeddingProvider() {
+	if (!embeddingProvider) {
+		embeddingProvider = createEmbeddingProvider(loadReviewConfig().embeddings);
+		log.info(`Using embedding provider: ${embeddingProvider.id}`);
+	}
+	return embeddingProvider;
+}
+
+// Check that the embedding server answers before indexing with it. When it
+// cannot be reached the offline provider is used for the rest of the run,
+// so a missing server never fails `npm install`; the next run with the
+// server up re-embeds everything (see isIndexCurrent).
+async function ensureEmbeddingProvider() {
+	const provider = getEmbeddingProvider();
 	try {
-		const response = await fetch("http://localhost:11434/api/embeddings", {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify({
-				model: "all-minilm", // Lighter and specialized for embeddings
-				prompt: text,
-				options: {
-					temperature: 0, // Deterministic output for embeddings
-				},
-			}),
+		await provider.embed("ping");
+	} catch (error) {
+		if (provider.id.startsWith("offline:")) throw error;
+		log.warn(
+			`Embedding server for ${provider.id} unavailable (${error.message}); indexing with the offline provider instead`
+		);
+		embeddingProvider = createEmbeddingProvider({
+			...loadReviewConfig().embeddings,
+			provider: "offline",
 		});
+		log.info(`Using embedding provider: ${embeddingProvider.id}`);
+	}
+	return embeddingProvider;
+}
 
-		if (!response.ok) {
-			throw new Error(`Embedding request failed: ${response.statusText}`);
-		}
-
-		const data = await response.json();
+async function embed(text) {
+	log.step("Generating embeddings...");
+	try {
+		const embedding = await getEmbeddingProvider().embed(text);
 		log.success("Generated embeddings successfully");
-		return data.embedding;
+		return embedding;
 	} catch (error) {
 		log.error(`Embedding generation failed: ${error.message}`);
 		throw error;
@@ -77,10 +94,36 @@ function initDB() {
       id INTEGER PRIMARY KEY,
       path TEXT UNIQUE,
       content TEXT,
-      embedding TEXT,
+      content_hash TEXT,
+      mtime REAL,
+      embedding_model TEXT,
+      index_version INTEGER,
+      language TEXT,
       last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`);
 
+		// Databases created before incremental indexing lack these columns.
+		// The ALTERs fail harmlessly with "duplicate column" once they exist.
+		db.run("ALTER TABLE docs ADD COLUMN content_hash TEXT", () => {});
+		db.run("ALTER TABLE docs ADD COLUMN mtime REAL", () => {});
+		db.run("ALTER TABLE docs ADD COLUMN embedding_model TEXT", () => {});
+		db.run("ALTER TABLE docs ADD COLUMN index_version INTEGER", () => {});
+		db.run("ALTER TABLE docs ADD COLUMN language TEXT", () => {});
+		// Embeddings live per chunk; the per-file column was never filled
+		db.run("ALTER TABLE docs DROP COLUMN embedding", () => {});
+
+		db.run(`CREATE TABLE IF NOT EXISTS chunks (
+      id INTEGER PRIMARY KEY,
+      file_path TEXT,
+      name TEXT,
+      kind TEXT,
+      start_line INTEGER,
+      end_line INTEGER,
+      content TEXT,
+      embedding BLOB,
+      FOREIGN KEY(file_path) REFERENCES docs(path)
+    )`);
+
 		db.run(`CREATE TABLE IF NOT EXISTS variable_refs (
       id INTEGER PRIMARY KEY,
       variable_name TEXT,
@@ -97,20 +140,64 @@ function initDB() {
 		db.run(
 			"CREATE INDEX IF NOT EXISTS idx_file_path ON variable_refs(file_path)"
 		);
+		db.run(
+			"CREATE INDEX IF NOT EXISTS idx_chunk_file_path ON chunks(file_path)"
+		);
+
+		// Keyword index over chunk content and symbol names (rowid = chunks.id)
+		db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
+      content,
+      symbols,
+      tokenize = "unicode61 tokenchars '_$'"
+    )`);
+
+		// Resolved import/export/require edges between files (index paths, see
+		// indexPath); to_path is NULL for packages and unresolvable specifiers.
+		db.run(`CREATE TABLE IF NOT EXISTS module_edges (
+      id INTEGER PRIMARY KEY,
+      from_path TEXT,
+      to_path TEXT,
+      source TEXT,
+      kind TEXT,
+      names TEXT,
+      line_number INTEGER
+    )`);
+		db.run(
+			"CREATE INDEX IF NOT EXISTS idx_edge_from ON module_edges(from_path)"
+		);
+		db.run("CREATE INDEX IF NOT EXISTS idx_edge_to ON module_edges(to_path)");
+
+		// Indexes built before paths were stored relative hold absolute paths
+		// under this checkout; rewrite them in place. The range condition
+		// uses the path indexes, so this is free once nothing matches.
+		const root = `${process.cwd()}${path.sep}`;
+		const rootEnd = `${process.cwd()}${String.fromCharCode(path.sep.charCodeAt(0) + 1)}`;
+		for (const [table, column] of [
+			["docs", "path"],
+			["chunks", "file_path"],
+			["variable_refs", "file_path"],
+			["module_edges", "from_path"],
+			["module_edges", "to_path"],
+		]) {
+			db.run(
+				`UPDATE ${table} SET ${column} = substr(${column}, ?) WHERE ${column} >= ? AND ${column} < ?`,
+				[root.length + 1, root, rootEnd]
+			);
+		}
 	});
 
 	log.success("Database initialized successfully");
 	return db;
 }
 
-// Enhanced variable reference extraction
-function extractVariableRefs(content, filePath) {
-	log.step(`Extracting variables from ${filePath}`);
-	const refs = [];
+// Parse JS/TS source into a Babel AST; returns null for other languages or
+// on syntax errors so callers can fall back to line-based handling.
+function parseSource(content, filePath) {
 	const fileType = getFileType(filePath);
+	if (!fileType.isJS) return null;
 
 	try {
-		const ast = parse(content, {
+		return parse(content, {
 			sourceType: "module",
 			plugins: [
 				...(fileType.isJSX ? ["jsx"] : []),
@@ -120,12 +207,28 @@ function extractVariableRefs(content, filePath) {
 				"exportNamespaceFrom",
 			],
 		});
+	} catch (e) {
+		log.warn(`Failed to parse ${filePath}: ${e.message}`);
+		return null;
+	}
+}
+
+// Enhanced variable reference extraction
+function extractVariableRefs(
+	content,
+	filePath,
+	ast = parseSource(content, filePath)
+) {
+	log.step(`Extracting variables from ${filePath}`);
+	const refs = [];
+	if (!ast) return refs;
 
+	try {
 		// Updated traverse usage
 		traverse(ast, {
 			// Track exports
 			ExportNamedDeclaration(path) {
-				const declaration = path.node.declaration;
+				const { declaration, specifiers, source } = path.node;
 				if (declaration && declaration.declarations) {
 					declaration.declarations.forEach((d) => {
 						if (d.id.name) {
@@ -137,7 +240,46 @@ function extractVariableRefs(content, filePath) {
 							});
 						}
 					});
+				} else if (declaration && declaration.id && declaration.id.name) {
+					// export function / class / interface / type / enum
+					refs.push({
+						name: declaration.id.name,
+						filePath,
+						line: declaration.loc.start.line,
+						type: "export",
+					});
 				}
+
+				// export { a, b as c } and re-exports: export { a } from "./x"
+				specifiers.forEach((specifier) => {
+					refs.push({
+						name: specifier.exported.name || specifier.exported.value,
+						filePath,
+						line: specifier.loc.start.line,
+						type: "export",
+						source: source ? source.value : undefined,
+					});
+				});
+			},
+
+			ExportDefaultDeclaration(path) {
+				refs.push({
+					name: "default",
+					filePath,
+					line: path.node.loc.start.line,
+					type: "export",
+				});
+			},
+
+			// export * from "./x" / export * as ns from "./x"
+			ExportAllDeclaration(path) {
+				refs.push({
+					name: path.node.exported ? path.node.exported.name : "*",
+					filePath,
+					line: path.node.loc.start.line,
+					type: "export",
+					source: path.node.source.value,
+				});
 			},
 
 			// Track imports
@@ -153,6 +295,20 @@ function extractVariableRefs(content, filePath) {
 				});
 			},
 
+			// Track component usage in JSX (<ProductCard />, <Icons.Close />)
+			JSXOpeningElement(path) {
+				let name = path.node.name;
+				while (name.type === "JSXMemberExpression") name = name.object;
+				if (name.type !== "JSXIdentifier" || !/^[A-Z]/.test(name.name)) return;
+
+				refs.push({
+					name: name.name,
+					filePath,
+					line: name.loc.start.line,
+					type: "usage",
+				});
+			},
+
 			// Track variable usage
 			Identifier(path) {
 				const name = path.node.name;
@@ -168,183 +324,887 @@ function extractVariableRefs(content, filePath) {
 			},
 		});
 	} catch (e) {
-		log.warn(`Failed to parse ${filePath}: ${e.message}`);
+		log.warn(`Failed to traverse ${filePath}: ${e.message}`);
 	}
 	log.success(`Found ${refs.length} variable references`);
 	return refs;
 }
 
-// Add file to DB
-async function addFile(db, filePath) {
+// Collect every module specifier a file depends on: static imports,
+// re-exports, require() calls and dynamic import()
+function extractModuleImports(ast) {
+	const imports = [];
+	if (!ast) return imports;
+
+	const add = (node, source, kind, names) =>
+		imports.push({ source, kind, names, line: node.loc.start.line });
+	const isStringArg = (node) =>
+		node.arguments.length > 0 && node.arguments[0].type === "StringLiteral";
+
+	try {
+		traverse(ast, {
+			ImportDeclaration(path) {
+				add(
+					path.node,
+					path.node.source.value,
+					"import",
+					path.node.specifiers.map((s) => s.local.name)
+				);
+			},
+			ExportNamedDeclaration(path) {
+				if (!path.node.source) return;
+				add(
+					path.node,
+					path.node.source.value,
+					"reexport",
+					path.node.specifiers.map((s) => (s.local || s.exported).name)
+				);
+			},
+			ExportAllDeclaration(path) {
+				add(path.node, path.node.source.value, "reexport", ["*"]);
+			},
+			CallExpression(path) {
+				const { callee } = path.node;
+				if (!isStringArg(path.node)) return;
+				const source = path.node.arguments[0].value;
+				if (callee.type === "Import") {
+					add(path.node, source, "dynamic", []);
+				} else if (callee.type === "Identifier" && callee.name === "require") {
+					const id =
+						path.parent.type === "VariableDeclarator" && path.parent.id;
+					let names = [];
+					if (id && id.type === "Identifier") names = [id.name];
+					if (id && id.type === "ObjectPattern") {
+						names = id.properties
+							.map((p) => p.value && p.value.name)
+							.filter(Boolean);
+					}
+					add(path.node, source, "require", names);
+				}
+			},
+		});
+	} catch (e) {
+		log.warn(`Failed to collect imports: ${e.message}`);
+	}
+	return imports;
+}
+
+// Chunks longer than this are split into consecutive windows, and files that
+// cannot be parsed are chunked by windows of this size.
+const MAX_CHUNK_LINES = 80;
+
+function containsJSX(node) {
+	return (
+		traverse.hasType(node, "JSXElement") ||
+		traverse.hasType(node, "JSXFragment")
+	);
+}
+
+// Classify a top-level declaration as function/class/component, or null for
+// anything that is not a named symbol (imports, expressions, plain values).
+function describeDeclaration(node) {
+	if (!node) return null;
+	const isComponentName = (name) => /^[A-Z]/.test(name || "");
+
+	if (node.type === "FunctionDeclaration") {
+		const name = node.id ? node.id.name : "default";
+		return {
+			name,
+			kind:
+				isComponentName(name) && containsJSX(node) ? "component" : "function",
+		};
+	}
+	if (node.type === "ClassDeclaration") {
+		const name = node.id ? node.id.name : "default";
+		return { name, kind: containsJSX(node) ? "component" : "class" };
+	}
+	if (node.type === "VariableDeclaration" && node.declarations.length === 1) {
+		const d = node.declarations[0];
+		const init = d.init;
+		const name = d.id && d.id.name;
+		if (
+			name &&
+			init &&
+			["ArrowFunctionExpression", "FunctionExpression"].includes(init.type)
+		) {
+			return {
+				name,
+				kind:
+					isComponentName(name) && containsJSX(init) ? "component" : "function",
+			};
+		}
+	}
+	return null;
+}
+
+function chunkName(node) {
+	if (node.type === "Identifier") return node.name;
+	if (node.id && node.id.name) return node.id.name;
+	if (node.declarations) {
+		return node.declarations
+			.map((d) => (d.id && d.id.name) || "")
+			.filter(Boolean)
+			.join(", ");
+	}
+	if (node.specifiers && node.specifiers.length) {
+		return node.specifiers
+			.map(
+				(sp) => (sp.exported && (sp.exported.name || sp.exported.value)) || ""
+			)
+			.filter(Boolean)
+			.join(", ");
+	}
+	return "";
+}
+
+function splitWindows(chunk, lines) {
+	const parts = [];
+	for (
+		let start = chunk.startLine;
+		start <= chunk.endLine;
+		start += MAX_CHUNK_LINES
+	) {
+		const end = Math.min(chunk.endLine, start + MAX_CHUNK_LINES - 1);
+		parts.push({
+			...chunk,
+			name: parts.length ? `${chunk.name}#${parts.length + 1}` : chunk.name,
+			startLine: start,
+			endLine: end,
+			content: lines.slice(start - 1, end).join("\n"),
+		});
+	}
+	return parts;
+}
+
+// Split a file into function, class, component and export-level chunks using
+// its top-level AST statements. Statements that are not symbols (imports,
+// side effects, non-exported values) are grouped into contiguous "module"
+// chunks so every top-level statement belongs to some chunk.
+function extractChunks(
+	content,
+	filePath,
+	ast = parseSource(content, filePath)
+) {
+	const lines = content.split(/\r?\n/);
+	const chunks = [];
+
+	if (!ast) {
+		if (!content.trim()) return chunks;
+		return splitWindows(
+			{
+				name: path.basename(filePath),
+				kind: "block",
+				startLine: 1,
+				endLine: lines.length,
+			},
+			lines
+		);
+	}
+
+	let pending = null; // run of non-symbol statements
+	const flushPending = () => {
+		if (pending) chunks.push(pending);
+		pending = null;
+	};
+
+	for (const stmt of ast.program.body) {
+		const comments = stmt.leadingComments || [];
+		const startLine = comments.length
+			? comments[0].loc.start.line
+			: stmt.loc.start.line;
+		const endLine = stmt.loc.end.line;
+
+		const isExport =
+			stmt.type === "ExportNamedDeclaration" ||
+			stmt.type === "ExportDefaultDeclaration" ||
+			stmt.type === "ExportAllDeclaration";
+		const declaration = isExport ? stmt.declaration : stmt;
+		const symbol = describeDeclaration(declaration);
+
+		if (symbol || isExport) {
+			flushPending();
+			chunks.push({
+				name:
+					(symbol && symbol.name) ||
+					(declaration && chunkName(declaration)) ||
+					chunkName(stmt) ||
+					(stmt.type === "ExportDefaultDeclaration" ? "default" : "*"),
+				kind: symbol ? symbol.kind : "export",
+				startLine,
+				endLine,
+			});
+		} else if (pending) {
+			pending.endLine = endLine;
+		} else {
+			pending = { name: "module", kind: "module", startLine, endLine };
+		}
+	}
+	flushPending();
+
+	return chunks.flatMap((chunk) => splitWindows(chunk, lines));
+}
+
+// Promise wrappers around the sqlite3 callback API
+function dbRun(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.run(sql, params, function (err) {
+			if (err) return reject(err);
+			resolve(this);
+		});
+	});
+}
+
+function dbGet(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+	});
+}
+
+function dbAll(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+	});
+}
+
+// Content hash used to detect changed files between indexing runs
+function hashContent(text) {
+	return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Bump when the stored index layout changes so existing files get re-indexed
+const INDEX_VERSION = 5;
+
+let resolveModule = null;
+
+// Path under which a file is indexed: relative to the repo root (the
+// working directory), so the index survives moving the checkout and a
+// lookup matches however the caller spells the path. Files outside the
+// repo keep their absolute path.
+function indexPath(filePath) {
+	const absolute = path.resolve(filePath);
+	const relative = path.relative(process.cwd(), absolute);
+	return !relative || relative.startsWith("..") || path.isAbsolute(relative)
+		? absolute
+		: relative;
+}
+
+// Resolver for the project in the current directory (tsconfig paths aware)
+function getResolver() {
+	if (!resolveModule) resolveModule = createResolver(process.cwd());
+	return resolveModule;
+}
+
+// Map of indexed path -> { hash, mtime, model, version } for incremental indexing
+async function getIndexedFiles(db) {
+	const rows = await dbAll(
+		db,
+		"SELECT path, content_hash, mtime, embedding_model, index_version FROM docs"
+	);
+	return new Map(
+		rows.map((r) => [
+			r.path,
+			{
+				hash: r.content_hash,
+				mtime: r.mtime,
+				model: r.embedding_model,
+				version: r.index_version,
+			},
+		])
+	);
+}
+
+// Whether an entry from getIndexedFiles() was built with the current
+// embedding provider and index layout (content changes are checked separately)
+function isIndexCurrent(entry) {
+	return (
+		!!entry &&
+		entry.model === getEmbeddingProvider().id &&
+		entry.version === INDEX_VERSION
+	);
+}
+
+// Record a new mtime for a file whose content did not change
+async function touchFile(db, filePath, mtime) {
+	await dbRun(db, "UPDATE docs SET mtime = ? WHERE path = ?", [
+		mtime,
+		indexPath(filePath),
+	]);
+}
+
+// Remove a file, its chunks and its variable references from the index
+async function removeFile(db, filePath) {
+	log.step(`Removing file from index: ${filePath}`);
+	const key = indexPath(filePath);
+	await dbRun(db, "DELETE FROM variable_refs WHERE file_path = ?", [key]);
+	await dbRun(
+		db,
+		"DELETE FROM chunks_fts WHERE rowid IN (SELECT id FROM chunks WHERE file_path = ?)",
+		[key]
+	);
+	await dbRun(db, "DELETE FROM chunks WHERE file_path = ?", [key]);
+	await dbRun(db, "DELETE FROM module_edges WHERE from_path = ?", [key]);
+	await dbRun(db, "DELETE FROM docs WHERE path = ?", [key]);
+	invalidateVectorIndex(db);
+}
+
+// Symbol text for the keyword index: the chunk's name(s), exported names in
+// its range, and their camelCase/snake_case parts
+function chunkSymbols(chunk, refs) {
+	const exported = refs
+		.filter(
+			(r) =>
+				r.type === "export" &&
+				r.line >= chunk.startLine &&
+				r.line <= chunk.endLine
+		)
+		.map((r) => r.name);
+	const names = [...chunk.name.split(/[,#\s]+/), ...exported].filter(Boolean);
+	return [...new Set([...names, ...tokenize(names.join(" "))])].join(" ");
+}
+
+// Point unresolved edges at `toPath` (an index path) where they now resolve to
+// it. Only specifiers that contain the file's name (or its directory's, for
+// an index file) can, so the others are not re-resolved.
+async function resolvePendingEdges(db, toPath) {
+	const stem = path.basename(toPath, path.extname(toPath));
+	const name = stem === "index" ? path.basename(path.dirname(toPath)) : stem;
+	const rows = await dbAll(
+		db,
+		"SELECT id, from_path, source FROM module_edges WHERE to_path IS NULL AND instr(source, ?) > 0",
+		[name]
+	);
+	for (const row of rows) {
+		const resolved = getResolver()(row.source, row.from_path);
+		if (!resolved || indexPath(resolved) !== toPath) continue;
+		await dbRun(db, "UPDATE module_edges SET to_path = ? WHERE id = ?", [
+			toPath,
+			row.id,
+		]);
+	}
+}
+
+// Add file to DB. Callers that already read or hashed the file can pass
+// { text, hash, mtime } to avoid doing it twice.
+async function addFile(db, filePath, known = {}) {
 	log.step(`Processing file: ${filePath}`);
-	const text = fs.readFileSync(filePath, "utf8");
+	const text =
+		known.text !== undefined ? known.text : fs.readFileSync(filePath, "utf8");
+	const hash = known.hash || hashContent(text);
+	const mtime =
+		known.mtime !== undefined ? known.mtime : fs.statSync(filePath).mtimeMs;
 	log.info(`File size: ${text.length} bytes`);
 
-	const emb = await embed(text);
+	const fromPath = indexPath(filePath);
+	const ast = parseSource(text, filePath);
+	const refs = extractVariableRefs(text, fromPath, ast);
+	const chunks = extractChunks(text, fromPath, ast);
+	log.info(`Split into ${chunks.length} chunks`);
+	getResolver().forgetMisses();
+	const edges = extractModuleImports(ast).map((imp) => {
+		const resolved = getResolver()(imp.source, fromPath);
+		return { ...imp, toPath: resolved ? indexPath(resolved) : null };
+	});
 
-	db.serialize(() => {
-		log.info("Starting database transaction");
-		db.run("BEGIN TRANSACTION");
-		try {
-			// Delete existing records for this file
-			db.run("DELETE FROM variable_refs WHERE file_path = ?", filePath);
-			db.run("DELETE FROM docs WHERE path = ?", filePath);
-
-			// Insert new records
-			db.run("INSERT INTO docs (path, content, embedding) VALUES (?, ?, ?)", [
-				filePath,
+	// Each chunk is embedded with its symbol name so identifier queries match
+	for (const chunk of chunks) {
+		chunk.embedding = await embed(`${chunk.name}\n${chunk.content}`);
+	}
+
+	log.info("Starting database transaction");
+	await dbRun(db, "BEGIN TRANSACTION");
+	try {
+		// Delete existing records for this file
+		await dbRun(db, "DELETE FROM variable_refs WHERE file_path = ?", [
+			fromPath,
+		]);
+		await dbRun(
+			db,
+			"DELETE FROM chunks_fts WHERE rowid IN (SELECT id FROM chunks WHERE file_path = ?)",
+			[fromPath]
+		);
+		await dbRun(db, "DELETE FROM chunks WHERE file_path = ?", [fromPath]);
+		await dbRun(db, "DELETE FROM module_edges WHERE from_path = ?", [fromPath]);
+		await dbRun(db, "DELETE FROM docs WHERE path = ?", [fromPath]);
+
+		// Insert new records
+		await dbRun(
+			db,
+			"INSERT INTO docs (path, content, content_hash, mtime, embedding_model, index_version, language) VALUES (?, ?, ?, ?, ?, ?, ?)",
+			[
+				fromPath,
 				text,
-				JSON.stringify(emb),
-			]);
+				hash,
+				mtime,
+				getEmbeddingProvider().id,
+				INDEX_VERSION,
+				detectLanguageFromPath(filePath),
+			]
+		);
 
-			const refs = extractVariableRefs(text, filePath);
-			const stmt = db.prepare(
-				"INSERT INTO variable_refs (variable_name, file_path, line_number, ref_type, source_path) VALUES (?, ?, ?, ?, ?)"
+		for (const chunk of chunks) {
+			const { lastID } = await dbRun(
+				db,
+				"INSERT INTO chunks (file_path, name, kind, start_line, end_line, content, embedding) VALUES (?, ?, ?, ?, ?, ?, ?)",
+				[
+					fromPath,
+					chunk.name,
+					chunk.kind,
+					chunk.startLine,
+					chunk.endLine,
+					chunk.content,
+					encodeVector(chunk.embedding),
+				]
 			);
+			await dbRun(
+				db,
+				"INSERT INTO chunks_fts (rowid, content, symbols) VALUES (?, ?, ?)",
+				[lastID, chunk.content, chunkSymbols(chunk, refs)]
+			);
+		}
 
-			refs.forEach((ref) => {
-				stmt.run(
-					ref.name,
-					ref.filePath,
-					ref.line,
-					ref.type || "declaration",
-					ref.source || null
-				);
-			});
-
-			stmt.finalize();
-			log.success(`File processed successfully: ${filePath}`);
-			db.run("COMMIT");
-		} catch (error) {
-			db.run("ROLLBACK");
-			log.error(`Failed to process file ${filePath}: ${error.message}`);
+		for (const edge of edges) {
+			await dbRun(
+				db,
+				"INSERT INTO module_edges (from_path, to_path, source, kind, names, line_number) VALUES (?, ?, ?, ?, ?, ?)",
+				[
+					fromPath,
+					edge.toPath,
+					edge.source,
+					edge.kind,
+					edge.names.join(","),
+					edge.line,
+				]
+			);
 		}
-	});
+
+		// Imports of this file indexed before it existed were stored unresolved
+		await resolvePendingEdges(db, fromPath);
+
+		const stmt = db.prepare(
+			"INSERT INTO variable_refs (variable_name, file_path, line_number, ref_type, source_path) VALUES (?, ?, ?, ?, ?)"
+		);
+		refs.forEach((ref) => {
+			stmt.run(
+				ref.name,
+				ref.filePath,
+				ref.line,
+				ref.type || "declaration",
+				ref.source || null
+			);
+		});
+		await new Promise((resolve, reject) =>
+			stmt.finalize((err) => (err ? reject(err) : resolve()))
+		);
+
+		await dbRun(db, "COMMIT");
+		invalidateVectorIndex(db);
+		log.success(`File processed successfully: ${filePath}`);
+	} catch (error) {
+		await dbRun(db, "ROLLBACK").catch(() => {});
+		log.error(`Failed to process file ${filePath}: ${error.message}`);
+	}
 }
 
-// Cosine similarity
-function cosineSim(a, b) {
-	const dot = math.dot(a, b);
-	const normA = math.norm(a);
-	const normB = math.norm(b);
-	return dot / (normA * normB);
+function toEdge(row) {
+	return {
+		path: row.path,
+		source: row.source,
+		kind: row.kind,
+		names: row.names ? row.names.split(",") : [],
+		line: row.line_number,
+	};
 }
 
-// Modified search to include variable references
-async function search(db, query, k = 5) {
-	log.step("Searching codebase...");
-	log.info(
-		`Query: "${query.substring(0, 100)}${query.length > 100 ? "..." : ""}"`
+// Files that import, re-export or require `filePath` ("who imports X")
+async function getDependents(db, filePath) {
+	const rows = await dbAll(
+		db,
+		`SELECT from_path AS path, source, kind, names, line_number
+     FROM module_edges WHERE to_path = ? ORDER BY from_path, line_number`,
+		[indexPath(filePath)]
 	);
+	return rows.map(toEdge);
+}
 
-	const qEmb = await embed(query);
-	return new Promise((resolve, reject) => {
-		log.info("Querying database for relevant files...");
-		const sql = `
-      SELECT 
-        d.path,
-        d.content,
-        d.embedding,
-        json_group_array(
-          json_object(
-            'name', v.variable_name,
-            'line', v.line_number,
-            'type', v.ref_type,
-            'source', v.source_path
-          )
-        ) as vars
-      FROM docs d
-      LEFT JOIN variable_refs v ON d.path = v.file_path
-      GROUP BY d.path
-    `;
-
-		db.all(sql, [], (err, rows) => {
-			if (err) {
-				log.error(`Search failed: ${err.message}`);
-				return reject(err);
-			}
+// Modules `filePath` depends on ("what does Y depend on"). `path` is null
+// for packages and specifiers that could not be resolved to a file.
+async function getDependencies(db, filePath) {
+	const rows = await dbAll(
+		db,
+		`SELECT to_path AS path, source, kind, names, line_number
+     FROM module_edges WHERE from_path = ? ORDER BY line_number`,
+		[indexPath(filePath)]
+	);
+	return rows.map(toEdge);
+}
+
+// Chunks in dependent files that use any name imported from `filePath`,
+// i.e. the code most likely to break when `filePath` changes
+async function getDependentChunks(db, filePath, limit = 5) {
+	const rows = await dbAll(
+		db,
+		`SELECT DISTINCT c.id, c.file_path AS path, c.name, c.kind,
+       c.start_line, c.end_line, c.content
+     FROM module_edges e
+     JOIN chunks c ON c.file_path = e.from_path
+     JOIN variable_refs v ON v.file_path = c.file_path
+       AND v.line_number BETWEEN c.start_line AND c.end_line
+       AND v.ref_type = 'usage'
+       AND v.line_number <> e.line_number
+     WHERE e.to_path = ?
+       AND instr(',' || e.names || ',', ',' || v.variable_name || ',') > 0
+     LIMIT ?`,
+		[indexPath(filePath), limit]
+	);
+	return rows.map((r) => ({
+		path: r.path,
+		name: r.name,
+		kind: r.kind,
+		startLine: r.start_line,
+		endLine: r.end_line,
+		content: r.content,
+	}));
+}
 
-			log.info(`Found ${rows.length} files, calculating relevance...`);
-			const scored = rows.map((r) => ({
+// Loaded vector index per connection. PRAGMA data_version changes when
+// another connection (e.g. initCodebase) commits, so a long-lived process
+// reloads after a re-index; writes through this connection invalidate
+// explicitly.
+const vectorIndexes = new WeakMap();
+
+function invalidateVectorIndex(db) {
+	vectorIndexes.delete(db);
+}
+
+async function getVectorIndex(db) {
+	const model = getEmbeddingProvider().id;
+	const { data_version: version } = await dbGet(db, "PRAGMA data_version");
+	const cached = vectorIndexes.get(db);
+	if (cached && cached.model === model && cached.version === version) {
+		return cached.index;
+	}
+
+	log.info("Loading vector index...");
+	const rows = await dbAll(
+		db,
+		`SELECT c.id, c.file_path AS path, c.embedding FROM chunks c
+     JOIN docs d ON d.path = c.file_path
+     WHERE d.embedding_model = ?`,
+		[model]
+	);
+	const index = buildIndex(rows);
+	vectorIndexes.set(db, { model, version, index });
+	log.info(`Loaded ${index.size} vectors (${index.dims} dimensions)`);
+	return index;
+}
+
+// Group variable ref rows into { name: [{ line, type, source }] }
+function groupVariables(refs) {
+	return refs.reduce((acc, v) => {
+		// Skip if name is empty or a built-in property
+		if (!v.name || typeof Object.prototype[v.name] !== "undefined") return acc;
+
+		// Initialize array if doesn't exist
+		if (!acc[v.name]) {
+			acc[v.name] = [];
+		}
+
+		// Validate array before pushing
+		if (Array.isArray(acc[v.name])) {
+			acc[v.name].push({
+				line: v.line,
+				type: v.type,
+				source: v.source,
+			});
+		}
+
+		return acc;
+	}, {});
+}
+
+// Load chunks by id together with the variable refs inside their line range
+async function getChunksByIds(db, ids) {
+	if (!ids.length) return new Map();
+	const placeholders = ids.map(() => "?").join(", ");
+	const chunks = await dbAll(
+		db,
+		`SELECT id, file_path AS path, name, kind, start_line, end_line, content
+     FROM chunks WHERE id IN (${placeholders})`,
+		ids
+	);
+	const refs = await dbAll(
+		db,
+		`SELECT c.id AS chunk_id, v.variable_name AS name, v.line_number AS line,
+       v.ref_type AS type, v.source_path AS source
+     FROM chunks c
+     JOIN variable_refs v ON v.file_path = c.file_path
+       AND v.line_number BETWEEN c.start_line AND c.end_line
+     WHERE c.id IN (${placeholders})`,
+		ids
+	);
+
+	const refsByChunk = new Map();
+	for (const ref of refs) {
+		if (!refsByChunk.has(ref.chunk_id)) refsByChunk.set(ref.chunk_id, []);
+		refsByChunk.get(ref.chunk_id).push(ref);
+	}
+
+	return new Map(
+		chunks.map((r) => [
+			r.id,
+			{
 				path: r.path,
+				name: r.name,
+				kind: r.kind,
+				startLine: r.start_line,
+				endLine: r.end_line,
 				content: r.content,
-				variables: JSON.parse(r.vars).reduce((acc, v) => {
-					// Skip if name is empty or a built-in property
-					if (!v.name || typeof Object.prototype[v.name] !== "undefined")
-						return acc;
-
-					// Initialize array if doesn't exist
-					if (!acc[v.name]) {
-						acc[v.name] = [];
-					}
+				variables: groupVariables(refsByChunk.get(r.id) || []),
+			},
+		])
+	);
+}
 
-					// Validate array before pushing
-					if (Array.isArray(acc[v.name])) {
-						acc[v.name].push({
-							line: v.line,
-							type: v.type,
-							source: v.source,
-						});
-					}
+// Words that carry no signal as keyword-search terms
+const KEYWORD_STOPWORDS = new Set(
+	(
+		"a an and are as at be by do else export false for from function if import in " +
+		"is it let new not null of on or return the this to true undefined var void while " +
+		"with const class default type interface extends diff git index"
+	).split(" ")
+);
 
-					return acc;
-				}, {}),
-				score: cosineSim(qEmb, JSON.parse(r.embedding)),
-			}));
+// Build an FTS5 MATCH expression from free text: distinct identifier-like
+// terms, quoted and OR-ed, longest (most specific) first
+function toFtsQuery(text, maxTerms = 32) {
+	const words = String(text).match(/[A-Za-z_$][A-Za-z0-9_$]{2,}/g) || [];
+	const terms = [...new Set(words.map((w) => w.toLowerCase()))]
+		.filter((w) => !KEYWORD_STOPWORDS.has(w))
+		.sort((a, b) => b.length - a.length)
+		.slice(0, maxTerms);
+	return terms.map((t) => `"${t.replace(/"/g, "")}"`).join(" OR ");
+}
 
-			const results = scored.sort((a, b) => b.score - a.score).slice(0, k);
-			log.success(`Search complete. Top ${k} results found`);
-			resolve(results);
-		});
-	});
+// Paths allowed by the language / exported-symbol filters, or null when
+// neither filter is set
+async function getFilteredPaths(db, { language, exports: exportedSymbol }) {
+	if (!language && !exportedSymbol) return null;
+	const where = [];
+	const params = [];
+	if (language) {
+		const languages = Array.isArray(language) ? language : [language];
+		where.push(`d.language IN (${languages.map(() => "?").join(", ")})`);
+		params.push(...languages);
+	}
+	if (exportedSymbol) {
+		where.push(`EXISTS (SELECT 1 FROM variable_refs v
+       WHERE v.file_path = d.path AND v.ref_type = 'export'
+       AND v.variable_name = ?)`);
+		params.push(exportedSymbol);
+	}
+	const rows = await dbAll(
+		db,
+		`SELECT d.path FROM docs d WHERE ${where.join(" AND ")}`,
+		params
+	);
+	return new Set(rows.map((r) => r.path));
 }
 
-async function setupContext(context) {
-	log.step("Setting up AI context...");
+// Rows of `sql` that pass `filter`, fetched a page at a time until `limit`
+// pass or the rows run out, so a narrow filter still fills the result.
+// `sql` ends in "LIMIT ? OFFSET ?"; the page size and offset are appended
+// to `params`.
+async function fetchFiltered(db, sql, params, limit, filter) {
+	const pageSize = Math.max(limit * 4, 50);
+	const kept = [];
+	for (let offset = 0; kept.length < limit; offset += pageSize) {
+		const rows = await dbAll(db, sql, [...params, pageSize, offset]);
+		kept.push(...rows.filter((r) => filter(r.path)));
+		if (rows.length < pageSize) break;
+	}
+	return kept.slice(0, limit);
+}
+
+async function keywordSearch(db, query, limit, filter) {
+	const match = toFtsQuery(query);
+	if (!match) return [];
+	// bm25 weights: symbol names count four times as much as body text
+	return fetchFiltered(
+		db,
+		`SELECT f.rowid AS id, c.file_path AS path
+     FROM chunks_fts f
+     JOIN chunks c ON c.id = f.rowid
+     WHERE chunks_fts MATCH ?
+     ORDER BY bm25(chunks_fts, 1.0, 4.0), f.rowid
+     LIMIT ? OFFSET ?`,
+		[match],
+		limit,
+		filter
+	);
+}
+
+// Chunks that define or export one of the identifiers in the query, so the
+// file defining a name mentioned in a diff is found even when bm25 prefers
+// shorter chunks that merely mention it. Chunks named after an identifier
+// rank before chunks that only export one.
+async function definitionSearch(db, query, limit, filter) {
+	const words = String(query).match(/[A-Za-z_$][A-Za-z0-9_$]{2,}/g) || [];
+	const names = [...new Set(words)]
+		.filter((w) => !KEYWORD_STOPWORDS.has(w.toLowerCase()))
+		.slice(0, 64);
+	if (!names.length) return [];
+	const placeholders = names.map(() => "?").join(", ");
+	return fetchFiltered(
+		db,
+		`SELECT id, path FROM (
+       SELECT c.id, c.file_path AS path, c.start_line, 0 AS rank FROM chunks c
+       WHERE c.name IN (${placeholders})
+       UNION ALL
+       SELECT c.id, c.file_path AS path, c.start_line, 1 AS rank FROM chunks c
+       JOIN variable_refs v ON v.file_path = c.file_path
+         AND v.line_number BETWEEN c.start_line AND c.end_line
+       WHERE v.ref_type = 'export' AND v.variable_name IN (${placeholders})
+     )
+     GROUP BY id
+     ORDER BY MIN(rank), path, start_line, id
+     LIMIT ? OFFSET ?`,
+		[...names, ...names],
+		limit,
+		filter
+	);
+}
+
+// Reciprocal rank fusion constant; 60 is the value from the original paper.
+// Exact definitions weigh double since they answer "where is X defined".
+const RRF_K = 60;
+const RRF_WEIGHTS = { vector: 1, keyword: 1, definition: 2 };
+
+// Search returns the k most relevant chunks, each with its location and the
+// variable references that fall inside its line range. Keyword (FTS5/bm25),
+// definition and semantic (vector) rankings are merged with reciprocal rank
+// fusion.
+//
+// options:
+// - mode: "hybrid" (default) | "semantic" | "keyword"
+// - pathGlob: glob or list of globs, relative to the working directory
+// - language: language id(s) as in languages.js, e.g. "tsx"
+// - exports: only files exporting this symbol name
+async function search(db, query, k = 5, options = {}) {
+	log.step("Searching codebase...");
+	log.info(
+		`Query: "${query.substring(0, 100)}${query.length > 100 ? "..." : ""}"`
+	);
+	const mode = options.mode || "hybrid";
+
 	try {
-		const response = await fetch("http://localhost:11434/api/generate", {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify({
-				model: "qwen2.5-coder",
-				prompt: `You are a coding assistant. Here is the codebase context you should remember:\n\n${context}\n\nUse this context to answer upcoming questions.`,
-				context: [], // Initialize fresh context
-				stream: false,
-			}),
-		});
+		const allowedPaths = await getFilteredPaths(db, options);
+		const matchesGlob = options.pathGlob
+			? createGlobMatcher(options.pathGlob)
+			: null;
+		const filter = (p) =>
+			(!allowedPaths || allowedPaths.has(p)) &&
+			(!matchesGlob || matchesGlob(p));
+		const candidates = Math.max(k * 4, 20);
+		const rankings = [];
 
-		const data = await response.json();
-		log.success("Context setup complete");
-		return data.context;
+		if (mode !== "keyword") {
+			try {
+				const qEmb = await embed(query);
+				const index = await getVectorIndex(db);
+				if (index.size === 0) {
+					log.warn(
+						`No files indexed with ${getEmbeddingProvider().id}. Run npm install to rebuild the index.`
+					);
+				}
+				rankings.push({
+					source: "vector",
+					hits: queryIndex(index, qEmb, candidates, filter),
+				});
+			} catch (error) {
+				// Keep answering with keywords when the embedding server is down
+				if (mode === "semantic") throw error;
+				log.warn(`Semantic search unavailable, using keywords only`);
+			}
+		}
+		if (mode !== "semantic") {
+			rankings.push({
+				source: "keyword",
+				hits: await keywordSearch(db, query, candidates, filter),
+			});
+			rankings.push({
+				source: "definition",
+				hits: await definitionSearch(db, query, candidates, filter),
+			});
+		}
+
+		const fused = new Map();
+		for (const { source, hits } of rankings) {
+			hits.forEach((hit, rank) => {
+				const entry = fused.get(hit.id) || {
+					id: hit.id,
+					score: 0,
+					matchedBy: [],
+				};
+				entry.score += RRF_WEIGHTS[source] / (RRF_K + rank + 1);
+				entry.matchedBy.push(source);
+				if (source === "vector") entry.similarity = hit.score;
+				fused.set(hit.id, entry);
+			});
+		}
+		const top = [...fused.values()]
+			.sort((a, b) => b.score - a.score)
+			.slice(0, k);
+
+		const chunks = await getChunksByIds(
+			db,
+			top.map((h) => h.id)
+		);
+		const results = top
+			.filter((h) => chunks.has(h.id))
+			.map((h) => ({
+				...chunks.get(h.id),
+				score: h.score,
+				similarity: h.similarity,
+				matchedBy: h.matchedBy,
+			}));
+
+		log.success(`Search complete. Top ${results.length} results found`);
+		return results;
 	} catch (error) {
-		log.error(`Context setup failed: ${error.message}`);
+		log.error(`Search failed: ${error.message}`);
 		throw error;
 	}
 }
 
-async function queryOllama(query, context) {
-	log.step("Querying Ollama...");
-	try {
-		const response = await fetch("http://localhost:11434/api/generate", {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify({
-				model: "qwen2.5-coder",
-				prompt: query,
-				context: context,
-				stream: false,
-			}),
-		});
+// Human-readable location of a search result, e.g. "src/App.tsx:10-42 (component App)"
+function formatChunkLocation(result) {
+	return `${result.path}:${result.startLine}-${result.endLine} (${result.kind} ${result.name})`;
+}
+
+// Conversation primed with the codebase context. Chat servers keep no state,
+// so the context travels with every later question.
+function setupContext(context) {
+	log.step("Setting up AI context...");
+	return [
+		{
+			role: "system",
+			content: `You are a coding assistant. Here is the codebase context you should remember:\n\n${context}\n\nUse this context to answer upcoming questions.`,
+		},
+	];
+}
 
-		const data = await response.json();
+// Ask `query` in the conversation `messages`; returns the answer and the
+// conversation extended with both
+async function queryModel(query, messages) {
+	const client = createLlmClient(loadReviewConfig().model);
+	log.step(`Querying ${client.id}...`);
+	try {
+		const asked = [...messages, { role: "user", content: query }];
+		const response = await client.chat({ messages: asked });
 		log.success("Query successful");
 		return {
-			response: data.response,
-			context: data.context,
+			response,
+			messages: [...asked, { role: "assistant", content: response }],
 		};
 	} catch (error) {
 		log.error(`Query failed: ${error.message}`);
@@ -352,7 +1212,7 @@ async function queryOllama(query, context) {
 	}
 }
 
-let currentContext = null;
+let currentConversation = null;
 
 async function askQwen(query, refreshContext = false) {
 	log.step(`Processing query: "${query}"`);
@@ -361,22 +1221,30 @@ async function askQwen(query, refreshContext = false) {
 	log.info("Searching for relevant context...");
 	const results = await search(db, query);
 
-	log.info(`Building context from ${results.length} files...`);
+	log.info(`Building context from ${results.length} chunks...`);
+	const redactor = createRedactor(loadReviewConfig());
 	const contextText = results
-		.map((r) => `${r.path}:\n${r.content}`)
+		.filter((r) => !redactor.isDenied(r.path, "askQwen", "context"))
+		.map((r) =>
+			redactor.text(
+				`${formatChunkLocation(r)}:\n${r.content}`,
+				"askQwen",
+				"context"
+			)
+		)
 		.join("\n\n");
 
 	// Setup fresh context if needed
-	if (!currentContext || refreshContext) {
+	if (!currentConversation || refreshContext) {
 		log.info(
 			refreshContext ? "Refreshing context..." : "Initializing new context..."
 		);
-		currentContext = await setupContext(contextText);
+		currentConversation = setupContext(contextText);
 	}
 
 	log.info("Generating response...");
-	const result = await queryOllama(query, currentContext);
-	currentContext = result.context;
+	const result = await queryModel(query, currentConversation);
+	currentConversation = result.messages;
 
 	log.success("Response generated successfully");
 	await cleanup(db);
@@ -405,4 +1273,26 @@ function cleanup(db) {
 // addFile(db, "./src/App.tsx");
 // addFile(db, "./server/index.js");
 
-module.exports = { initDB, addFile, search, askQwen, cleanup, DB_PATH };
+module.exports = {
+	initDB,
+	addFile,
+	removeFile,
+	touchFile,
+	getIndexedFiles,
+	isIndexCurrent,
+	hashContent,
+	getEmbeddingProvider,
+	ensureEmbeddingProvider,
+	indexPath,
+	search,
+	formatChunkLocation,
+	parseSource,
+	extractChunks,
+	extractModuleImports,
+	getDependents,
+	getDependencies,
+	getDependentChunks,
+	askQwen,
+	cleanup,
+	DB_PATH,
+};
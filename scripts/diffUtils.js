@@ -0,0 +1,107 @@
+// Unified diff parsing shared by the pre-commit and pre-push collectors
+
+function isBinaryDiffText(diffText) {
+  return /\nBinary files .* differ\n?/.test(diffText);
+}
+
+function parseHunksAddedLines(diffText) {
+  // Parses unified diff and returns hunks with added lines and their new line numbers
+  // Structure: [{ rangeNew: { start, count }, additions: [{ line, content }] }]
+  const hunks = [];
+  if (!diffText || isBinaryDiffText(diffText)) return hunks;
+  const lines = diffText.split(/\r?\n/);
+  let idx = 0;
+  let currentNewLine = 0;
+  while (idx < lines.length) {
+    const line = lines[idx];
+    // Find hunk header
+    const m = /^@@\s+-\d+(?:,\d+)?\s+\+(\d+)(?:,(\d+))?\s+@@/.exec(line);
+    if (m) {
+      const hunkNewStart = parseInt(m[1], 10);
+      const hunkNewCount = m[2] ? parseInt(m[2], 10) : 1;
+      currentNewLine = hunkNewStart;
+      idx += 1;
+      const additions = [];
+      // Read hunk body until next hunk/header or EOF
+      while (idx < lines.length && !lines[idx].startsWith('@@') && !lines[idx].startsWith('diff --git ')) {
+        const body = lines[idx];
+        if (body.startsWith(' ')) {
+          // context line
+          currentNewLine += 1;
+        } else if (body.startsWith('+')) {
+          additions.push({ line: currentNewLine, content: body.slice(1) });
+          currentNewLine += 1;
+        } else if (body.startsWith('-')) {
+          // deletion; does not advance new line
+        } else if (body.startsWith('\\ No newline at end of file')) {
+          // ignore
+        }
+        idx += 1;
+      }
+      hunks.push({ rangeNew: { start: hunkNewStart, count: hunkNewCount }, additions });
+      continue;
+    }
+    idx += 1;
+  }
+  return hunks;
+}
+
+// True once a hunk holds as many lines as its header declares
+function isHunkComplete(hunk) {
+  const oldLines = hunk.lines.filter((l) => l.type !== '+').length;
+  const newLines = hunk.lines.filter((l) => l.type !== '-').length;
+  return oldLines >= hunk.oldCount && newLines >= hunk.newCount;
+}
+
+function parsePatchHunks(diffText) {
+  // Parses every hunk of a unified diff, keeping both sides
+  // Structure: [{ oldStart, oldCount, newStart, newCount, lines: [{ type: ' ' | '-' | '+', content }] }]
+  const hunks = [];
+  if (!diffText || isBinaryDiffText(diffText)) return hunks;
+  let current = null;
+  for (const line of diffText.split(/\r?\n/)) {
+    const m = /^@@\s+-(\d+)(?:,(\d+))?\s+\+(\d+)(?:,(\d+))?\s+@@/.exec(line);
+    if (m) {
+      current = {
+        oldStart: parseInt(m[1], 10),
+        oldCount: m[2] != null ? parseInt(m[2], 10) : 1,
+        newStart: parseInt(m[3], 10),
+        newCount: m[4] != null ? parseInt(m[4], 10) : 1,
+        lines: [],
+      };
+      hunks.push(current);
+    } else if (line.startsWith('diff --git ')) {
+      current = null;
+    } else if (current && /^[ +-]/.test(line) && !/^(---|\+\+\+) /.test(line)) {
+      current.lines.push({ type: line[0], content: line.slice(1) });
+    } else if (current && line === '' && !isHunkComplete(current)) {
+      // Some generators drop the leading space of empty context lines
+      current.lines.push({ type: ' ', content: '' });
+    }
+  }
+  return hunks;
+}
+
+// New-file line ranges a patch touches, used to pair fixes with annotations
+function patchNewRanges(patch) {
+  return parsePatchHunks(patch).map((h) => ({ start: h.newStart, end: h.newStart + Math.max(h.newCount, 1) - 1 }));
+}
+
+function extractTodoFixme(additionsByFile) {
+  const results = [];
+  const re = /\b(TODO|FIXME|HACK|XXX)\b[:\- ]?(.*)/i;
+  for (const item of additionsByFile) {
+    const { path: filePath, hunks } = item;
+    for (const h of hunks) {
+      for (const add of h.additions) {
+        const m = re.exec(add.content);
+        if (m) {
+          results.push({ file: filePath, line: add.line, tag: m[1].toUpperCase(), text: (m[2] || '').trim() });
+        }
+      }
+    }
+  }
+  return results;
+}
+
+module.exports = { isBinaryDiffText, parseHunksAddedLines, parsePatchHunks, patchNewRanges, extractTodoFixme };
@@ -0,0 +1,168 @@
+/*
+ Embedding providers for the codebase index. Chosen by the `embeddings`
+ section of ai-review.config.json, where the AI_EMBED_PROVIDER, _URL,
+ _MODEL and _DIMENSIONS env flags override it (see reviewConfig.js).
+
+ Env flags:
+ - AI_EMBED_API_KEY=<key> (openai provider only; never read from the config)
+
+ Every provider exposes `id` and `embed(text)`. The id is stored next to each
+ embedding so vectors from different providers or models are never compared.
+*/
+
+const DEFAULTS = {
+	ollama: { url: "http://localhost:11434", model: "all-minilm" },
+	openai: { url: "http://localhost:8080/v1", model: "text-embedding-3-small" },
+	offline: { dimensions: 512 },
+};
+
+function createOllamaProvider({ url, model }) {
+	return {
+		id: `ollama:${model}`,
+		async embed(text) {
+			const response = await fetch(`${url}/api/embeddings`, {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify({
+					model,
+					prompt: text,
+					options: {
+						temperature: 0, // Deterministic output for embeddings
+					},
+				}),
+			});
+
+			if (!response.ok) {
+				throw new Error(`Embedding request failed: ${response.statusText}`);
+			}
+
+			const data = await response.json();
+			return data.embedding;
+		},
+	};
+}
+
+// Works with any server implementing the OpenAI /embeddings endpoint
+// (OpenAI itself, llama.cpp, vLLM, LM Studio, LocalAI, ...)
+function createOpenAIProvider({ url, model, apiKey }) {
+	return {
+		id: `openai:${model}`,
+		async embed(text) {
+			const response = await fetch(`${url.replace(/\/+$/, "")}/embeddings`, {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+					...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+				},
+				body: JSON.stringify({ model, input: text }),
+			});
+
+			if (!response.ok) {
+				throw new Error(`Embedding request failed: ${response.statusText}`);
+			}
+
+			const data = await response.json();
+			if (!data.data || !data.data[0] || !data.data[0].embedding) {
+				throw new Error("Embedding response did not contain data[0].embedding");
+			}
+			return data.data[0].embedding;
+		},
+	};
+}
+
+// Split source text into lowercase tokens. Identifiers are also broken into
+// their camelCase / snake_case parts so `fetchUserProfile` matches "user".
+function tokenize(text) {
+	const tokens = [];
+	const words = String(text).match(/[A-Za-z_$][A-Za-z0-9_$]*|\d+/g) || [];
+	for (const word of words) {
+		const lower = word.toLowerCase();
+		tokens.push(lower);
+		const parts = word
+			.replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+			.replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+			.split(/[\s_$]+/)
+			.filter(Boolean);
+		if (parts.length > 1) {
+			for (const part of parts) tokens.push(part.toLowerCase());
+		}
+	}
+	return tokens;
+}
+
+// 32-bit FNV-1a
+function fnv1a(str, seed = 0x811c9dc5) {
+	let h = seed >>> 0;
+	for (let i = 0; i < str.length; i++) {
+		h ^= str.charCodeAt(i);
+		h = Math.imul(h, 0x01000193) >>> 0;
+	}
+	return h;
+}
+
+// Deterministic hashed bag-of-tokens. Needs no model server, so CI machines
+// and laptops without Ollama still get a usable (lexical) search().
+function createOfflineProvider({ dimensions }) {
+	return {
+		id: `offline:bag-of-tokens-${dimensions}`,
+		async embed(text) {
+			const counts = new Map();
+			for (const token of tokenize(text)) {
+				counts.set(token, (counts.get(token) || 0) + 1);
+			}
+
+			const vector = new Array(dimensions).fill(0);
+			for (const [token, count] of counts) {
+				const bucket = fnv1a(token) % dimensions;
+				// A second hash picks the sign so collisions cancel out on average
+				const sign = fnv1a(token, 0x9747b28c) & 1 ? 1 : -1;
+				vector[bucket] += sign * (1 + Math.log(count));
+			}
+
+			const norm = Math.sqrt(vector.reduce((acc, v) => acc + v * v, 0));
+			return norm > 0 ? vector.map((v) => v / norm) : vector;
+		},
+	};
+}
+
+const EMBEDDING_PROVIDERS = Object.keys(DEFAULTS);
+
+// `config` is the config's `embeddings` section; fields it leaves out fall
+// back to the env flags, then the provider's defaults
+function createEmbeddingProvider(config = {}) {
+	const name = (
+		config.provider ||
+		process.env.AI_EMBED_PROVIDER ||
+		"ollama"
+	).toLowerCase();
+	const defaults = DEFAULTS[name];
+	if (!defaults) {
+		throw new Error(
+			`Unknown embedding provider "${name}". Expected one of: ${Object.keys(
+				DEFAULTS
+			).join(", ")}`
+		);
+	}
+
+	const settings = {
+		url: config.url || process.env.AI_EMBED_URL || defaults.url,
+		model: config.model || process.env.AI_EMBED_MODEL || defaults.model,
+		apiKey: process.env.AI_EMBED_API_KEY || "",
+		dimensions:
+			parseInt(config.dimensions || process.env.AI_EMBED_DIMENSIONS, 10) ||
+			defaults.dimensions,
+	};
+
+	switch (name) {
+		case "ollama":
+			return createOllamaProvider(settings);
+		case "openai":
+			return createOpenAIProvider(settings);
+		default:
+			return createOfflineProvider(settings);
+	}
+}
+
+module.exports = { EMBEDDING_PROVIDERS, createEmbeddingProvider, tokenize };
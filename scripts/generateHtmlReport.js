@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/*
+ Render commit-with-review.json as a single self-contained HTML page: one
+ collapsible section per file, severity filters and code excerpts. Styles and
+ script are inlined, so the report opens offline.
+
+ Usage: node scripts/generateHtmlReport.js [input.json] [output.html]
+*/
+
+const fs = require('fs');
+const path = require('path');
+const {
+  SEVERITY_ORDER,
+  collectAnnotations,
+  countBy,
+  buildLineMaps,
+  excerptFor,
+  describeVerification,
+  describeSuppressed,
+} = require('./reviewReport.js');
+
+const STYLES = `
+  :root { color-scheme: light dark; --border: #8884; --muted: #888; --added: #2ea04326; --target: #d2992233; }
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; }
+  h1 { margin-bottom: 0.25rem; }
+  .meta { color: var(--muted); margin: 0 0 1rem; }
+  .filters { display: flex; gap: 1rem; align-items: center; padding: 0.5rem 0; border-bottom: 1px solid var(--border); }
+  details.file { border: 1px solid var(--border); border-radius: 6px; margin: 1rem 0; }
+  details.file > summary { cursor: pointer; padding: 0.5rem 0.75rem; font-weight: 600; }
+  details.file > summary .counts { font-weight: normal; color: var(--muted); margin-left: 0.5rem; }
+  .body { padding: 0 0.75rem 0.75rem; }
+  .finding { border-left: 4px solid var(--border); padding: 0.25rem 0.75rem; margin: 0.75rem 0; }
+  .finding[data-severity="must-fix"] { border-color: #d73a49; }
+  .finding[data-severity="should-fix"] { border-color: #d29922; }
+  .finding[data-severity="nit"] { border-color: #0969da; }
+  .tag { display: inline-block; font-size: 12px; padding: 0 0.4rem; border-radius: 3px; border: 1px solid var(--border); margin-right: 0.25rem; }
+  pre { overflow-x: auto; margin: 0.5rem 0; padding: 0.5rem; border: 1px solid var(--border); border-radius: 4px; font: 12px/1.45 ui-monospace, monospace; }
+  .line { display: block; white-space: pre; }
+  .line.added { background: var(--added); }
+  .line.target { background: var(--target); }
+  .gutter { color: var(--muted); user-select: none; }
+  .hidden { display: none; }
+`;
+
+// Hides findings whose severity is unticked, and files left with none
+const FILTER_SCRIPT = `
+  function applyFilters() {
+    var enabled = {};
+    document.querySelectorAll('.filters input').forEach(function (box) { enabled[box.value] = box.checked; });
+    document.querySelectorAll('details.file').forEach(function (file) {
+      var visible = 0;
+      file.querySelectorAll('.finding').forEach(function (f) {
+        var show = enabled[f.getAttribute('data-severity')] !== false;
+        f.classList.toggle('hidden', !show);
+        if (show) visible += 1;
+      });
+      var hasFindings = file.querySelectorAll('.finding').length > 0;
+      file.classList.toggle('hidden', hasFindings && visible === 0);
+    });
+  }
+  document.querySelectorAll('.filters input').forEach(function (box) { box.addEventListener('change', applyFilters); });
+`;
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function ensureDir(filePath) {
+  const dir = path.dirname(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderExcerpt(excerpt) {
+  if (!excerpt.length) return '';
+  const width = String(excerpt[excerpt.length - 1].line).length;
+  const rows = excerpt.map((e) => {
+    const cls = ['line', e.added ? 'added' : '', e.target ? 'target' : ''].filter(Boolean).join(' ');
+    return `<span class="${cls}"><span class="gutter">${String(e.line).padStart(width)} | </span>${escapeHtml(e.content)}</span>`;
+  });
+  return `<pre>${rows.join('')}</pre>`;
+}
+
+function renderFinding(a, lineMap) {
+  const line = typeof a.line === 'number' && a.line > 0 ? `L${a.line}` : 'unknown line';
+  const loc = a.outsideDiff ? `${line} (outside the diff)` : line;
+  const rule = a.ruleId ? ` <code>${escapeHtml(a.ruleId)}</code>` : '';
+  return `<div class="finding" data-severity="${escapeHtml(a.severity || 'should-fix')}">
+  <div><span class="tag">${escapeHtml(a.severity || 'should-fix')}</span><span class="tag">${escapeHtml(a.category || 'code_health')}</span> ${loc}${rule}</div>
+  <p><strong>Issue:</strong> ${escapeHtml(a.message)}</p>
+  <p><strong>Suggestion:</strong> ${escapeHtml(a.suggestion)}</p>
+  ${renderExcerpt(excerptFor(lineMap, a.line))}
+</div>`;
+}
+
+function renderVerification(verification) {
+  const errors = (verification.newErrors || []).map(
+    (e) => `<li>${escapeHtml(`${e.file}:${e.line}`)} [${escapeHtml(e.tool)}] ${escapeHtml(e.message)}</li>`
+  );
+  return `<p><strong>Verification:</strong> ${escapeHtml(describeVerification(verification))}</p>${
+    errors.length ? `<ul>${errors.join('')}</ul>` : ''
+  }`;
+}
+
+function renderFile(entry, lineMap) {
+  const review = entry.review || {};
+  const annotations = (Array.isArray(review.annotations) ? review.annotations : [])
+    .slice()
+    .sort((x, y) => (x.line || 0) - (y.line || 0));
+  const autofixes = Array.isArray(review.autofixes) ? review.autofixes : [];
+  const counts = countBy(annotations, 'severity', 'should-fix');
+  const countText = SEVERITY_ORDER.filter((s) => counts[s])
+    .map((s) => `${counts[s]} ${s}`)
+    .join(', ');
+
+  const patches = autofixes
+    .filter((fix) => fix.patch)
+    .map(
+      (fix) =>
+        `<h4>Proposed patch</h4>${fix.notes ? `<p>${escapeHtml(fix.notes)}</p>` : ''}<pre>${escapeHtml(fix.patch)}</pre>${
+          fix.verification ? renderVerification(fix.verification) : ''
+        }`
+    )
+    .join('\n');
+  const dropped = (Array.isArray(review.droppedAutofixes) ? review.droppedAutofixes : [])
+    .map((fix) => `<h4>Dropped patch</h4>${renderVerification(fix.verification)}<pre>${escapeHtml(fix.patch)}</pre>`)
+    .join('\n');
+
+  return `<details class="file" open>
+<summary>${escapeHtml(entry.filePath)}<span class="counts">${countText || 'no findings'}</span></summary>
+<div class="body">
+  ${review.summaryMarkdown ? `<p>${escapeHtml(review.summaryMarkdown.trim())}</p>` : ''}
+  ${annotations.map((a) => renderFinding(a, lineMap)).join('\n')}
+  ${patches}
+  ${dropped}
+</div>
+</details>`;
+}
+
+function renderReport(payload) {
+  const repo = payload.repo || {};
+  const reviews = Array.isArray(payload.reviews) ? payload.reviews : [];
+  const counts = countBy(collectAnnotations(payload), 'severity', 'should-fix');
+  const lineMaps = buildLineMaps(payload);
+
+  const filters = SEVERITY_ORDER.map(
+    (s) => `<label><input type="checkbox" value="${s}" checked> ${s} (${counts[s] || 0})</label>`
+  ).join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>AI Code Review Report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>AI Code Review Report</h1>
+<p class="meta">${escapeHtml(repo.branch || '')} @ ${escapeHtml((repo.head || '').slice(0, 12))} &middot; ${escapeHtml(
+    payload.reviewGeneratedAt || payload.generatedAt || ''
+  )}${describeSuppressed(payload) ? ` &middot; ${escapeHtml(describeSuppressed(payload))}` : ''}</p>
+<div class="filters"><strong>Severity:</strong>
+${filters}
+</div>
+${reviews.map((entry) => renderFile(entry, lineMaps.get(entry.filePath))).join('\n')}
+<script>${FILTER_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function main() {
+  const inputFile = process.argv[2] || path.join('.webpack-cache', 'ai-review', 'commit-with-review.json');
+  const outputFile = process.argv[3] || path.join('.webpack-cache', 'ai-review', 'reviews.html');
+  const html = renderReport(readJson(inputFile));
+  ensureDir(outputFile);
+  fs.writeFileSync(outputFile, html, 'utf8');
+  console.log(`[ai-review] HTML report written to ${outputFile}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { renderReport };
@@ -3,6 +3,14 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const {
+  collectAnnotations,
+  countBy,
+  buildLineMaps,
+  excerptFor,
+  describeVerification,
+  describeSuppressed,
+} = require('./reviewReport.js');
 
 function readJson(filePath) {
   return JSON.parse(fs.readFileSync(filePath, 'utf8'));
@@ -23,19 +31,43 @@ function escapeMd(text) {
   return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
-function renderAnnotation(idx, a) {
+// Fenced excerpt with a line-number gutter; ">" marks the annotated line and
+// "+" the lines this change adds
+function renderExcerpt(excerpt, indent) {
+  if (!excerpt.length) return '';
+  const width = String(excerpt[excerpt.length - 1].line).length;
+  const longestTicks = Math.max(0, ...excerpt.map((e) => Math.max(0, ...(e.content.match(/`+/g) || []).map((t) => t.length))));
+  const fence = '`'.repeat(Math.max(3, longestTicks + 1));
+  const body = excerpt.map((e) => {
+    const marker = e.target ? '>' : e.added ? '+' : ' ';
+    return `${indent}${marker} ${String(e.line).padStart(width)} | ${e.content}`;
+  });
+  return [`${indent}${fence}`, ...body, `${indent}${fence}`].join('\n');
+}
+
+function renderAnnotation(idx, a, lineMap) {
   const sev = a.severity || 'should-fix';
   const cat = a.category || 'code_health';
-  const loc = typeof a.line === 'number' && a.line > 0 ? `L${a.line}` : 'unknown line';
+  const line = typeof a.line === 'number' && a.line > 0 ? `L${a.line}` : 'unknown line';
+  const loc = a.outsideDiff ? `${line} (outside the diff)` : line;
   const rule = a.ruleId ? ` (${a.ruleId})` : '';
   const message = escapeMd(a.message || '');
   const suggestion = escapeMd(a.suggestion || '');
+  const excerpt = renderExcerpt(excerptFor(lineMap, a.line), '      ');
   return `- **[${sev}] [${cat}]** at ${loc}${rule}
   - **Issue**: ${message}
-  - **Suggestion**: ${suggestion}`;
+  - **Suggestion**: ${suggestion}${excerpt ? `\n  - **Code**:\n\n${excerpt}` : ''}`;
+}
+
+function renderVerification(verification) {
+  const lines = [`**Verification**: ${escapeMd(describeVerification(verification))}`];
+  for (const e of verification.newErrors || []) {
+    lines.push(`- ${e.file}:${e.line} [${e.tool}] ${escapeMd(e.message)}`);
+  }
+  return lines.join('\n');
 }
 
-function renderFileSection(fileEntry) {
+function renderFileSection(fileEntry, lineMap) {
   const lines = [];
   const filePath = fileEntry.filePath;
   const review = fileEntry.review || {};
@@ -64,7 +96,7 @@ function renderFileSection(fileEntry) {
       lines.push(`- **${category}**:`);
       const items = byCategory[category]
         .sort((x, y) => (x.line || 0) - (y.line || 0))
-        .map((a, i) => renderAnnotation(i + 1, a));
+        .map((a, i) => renderAnnotation(i + 1, a, lineMap));
       lines.push(...items.map(s => `  ${s}`));
     }
   }
@@ -80,10 +112,22 @@ function renderFileSection(fileEntry) {
       lines.push('```diff');
       lines.push(fix.patch || '');
       lines.push('```');
+      if (fix.verification) lines.push('', renderVerification(fix.verification));
       if (notes) lines.push(notes);
     }
   }
 
+  const dropped = Array.isArray(review.droppedAutofixes) ? review.droppedAutofixes : [];
+  if (dropped.length) {
+    lines.push('');
+    lines.push(toMdHeader('Dropped patches', 4));
+    lines.push('');
+    for (const fix of dropped) {
+      lines.push(`- File: ${fix.file || filePath}${fix.notes ? ` (${escapeMd(fix.notes)})` : ''}`);
+      lines.push(renderVerification(fix.verification).replace(/^/gm, '  '));
+    }
+  }
+
   return lines.join('\n');
 }
 
@@ -101,20 +145,14 @@ function renderReport(payload) {
   lines.push(`- **Generated At**: ${payload.reviewGeneratedAt || payload.generatedAt || ''}`);
   lines.push('');
   lines.push(`- **Staged Files**: ${staged.numFiles ?? reviews.length}`);
+  const suppressed = describeSuppressed(payload);
+  if (suppressed) lines.push(`- **Known findings**: ${suppressed}, not listed below`);
   lines.push('');
 
   // High-level counts by category and severity
-  const allAnnotations = reviews.flatMap(r => (r.review && Array.isArray(r.review.annotations)) ? r.review.annotations.map(a => ({...a, file: a.file || r.filePath})) : []);
-  const countsByCategory = allAnnotations.reduce((acc, a) => {
-    const key = a.category || 'code_health';
-    acc[key] = (acc[key] || 0) + 1;
-    return acc;
-  }, {});
-  const countsBySeverity = allAnnotations.reduce((acc, a) => {
-    const key = a.severity || 'should-fix';
-    acc[key] = (acc[key] || 0) + 1;
-    return acc;
-  }, {});
+  const allAnnotations = collectAnnotations(payload);
+  const countsByCategory = countBy(allAnnotations, 'category', 'code_health');
+  const countsBySeverity = countBy(allAnnotations, 'severity', 'should-fix');
 
   if (allAnnotations.length) {
     lines.push('## Summary');
@@ -130,8 +168,32 @@ function renderReport(payload) {
     lines.push('');
   }
 
+  // Files the model never produced a usable review for
+  const failures = Array.isArray(payload.reviewFailures) ? payload.reviewFailures : [];
+  if (failures.length) {
+    lines.push('## Review failures');
+    lines.push('');
+    for (const f of failures) {
+      const attempts = f.attempts ? ` after ${f.attempts} attempt(s)` : '';
+      lines.push(`- **${f.filePath}** (${f.stage}${attempts}): ${escapeMd(f.message || '')}`);
+    }
+    lines.push('');
+  }
+
+  // Found by the collector's secret scanner; values are masked
+  const secrets = payload.notes && Array.isArray(payload.notes.secrets) ? payload.notes.secrets : [];
+  if (secrets.length) {
+    lines.push('## Suspected secrets');
+    lines.push('');
+    for (const s of secrets) {
+      lines.push(`- **${s.file}:${s.line}** [${s.ruleId}] ${escapeMd(s.description)}: \`${s.preview}\``);
+    }
+    lines.push('');
+  }
+
+  const lineMaps = buildLineMaps(payload);
   for (const entry of reviews) {
-    lines.push(renderFileSection(entry));
+    lines.push(renderFileSection(entry, lineMaps.get(entry.filePath)));
     lines.push('');
   }
 
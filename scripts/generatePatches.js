@@ -1,8 +1,25 @@
 #!/usr/bin/env node
+/*
+ Write the review's autofix patches to .webpack-cache/ai-review/patches and,
+ optionally, apply them. Each patch is first re-anchored against the staged
+ file (see patchNormalizer.js); patches that cannot be placed are written
+ for reference and reported, but never applied. Patches that failed
+ verification (verifyAutofixes.js) are never applied automatically; the
+ interactive mode shows the errors they introduce.
+
+ Env flags:
+ - AI_REVIEW_APPLY=false|true|interactive (default: false)
+   true applies every patch that still applies and reports the rest;
+   interactive (or --interactive) asks per patch: accept, skip or edit
+ - AI_REVIEW_OPEN=true|false (default: true) open the patches in an editor
+*/
 
 const fs = require('fs');
 const path = require('path');
-const { execSync, spawn } = require('child_process');
+const readline = require('readline');
+const { execSync, spawn, spawnSync } = require('child_process');
+const { patchNewRanges } = require('./diffUtils.js');
+const { normalizePatch } = require('./patchNormalizer.js');
 
 function readJson(filePath) {
   return JSON.parse(fs.readFileSync(filePath, 'utf8'));
@@ -49,77 +66,241 @@ function run(cmd) {
   return execSync(cmd, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
 }
 
+// { ok, error } where error is git's own explanation of why the patch fails
 function tryGitApply(patchPath, { checkOnly = false } = {}) {
   try {
     const flags = checkOnly ? '--check' : '';
     run(`git apply ${flags} --whitespace=fix --3way ${JSON.stringify(patchPath)}`);
-    return true;
+    return { ok: true, error: '' };
   } catch (e) {
-    return false;
+    const error = String((e.stderr && e.stderr.toString()) || e.message).trim();
+    return { ok: false, error };
+  }
+}
+
+// Staged content of a file, or the working tree copy when it is not in the
+// index. Null when neither exists.
+function readStagedFile(filePath) {
+  try {
+    return execSync(`git show ${JSON.stringify(`:${filePath}`)}`, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 20 * 1024 * 1024,
+    });
+  } catch (e) {
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+}
+
+// Annotations on the lines a patch touches, to show why it was proposed
+function annotationsForPatch(annotations, patch) {
+  const ranges = patchNewRanges(patch);
+  return annotations.filter((a) => ranges.some((r) => a.line >= r.start && a.line <= r.end));
+}
+
+function colorizePatch(patch) {
+  if (!process.stdout.isTTY) return patch;
+  return patch
+    .split('\n')
+    .map((line) => {
+      if (/^(\+\+\+|---) /.test(line)) return `\x1b[1m${line}\x1b[0m`;
+      if (line.startsWith('+')) return `\x1b[32m${line}\x1b[0m`;
+      if (line.startsWith('-')) return `\x1b[31m${line}\x1b[0m`;
+      if (line.startsWith('@@')) return `\x1b[36m${line}\x1b[0m`;
+      return line;
+    })
+    .join('\n');
+}
+
+function editInEditor(patchPath) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const result = spawnSync(editor, [patchPath], { stdio: 'inherit', shell: true });
+  return result.status === 0;
+}
+
+// Apply patches independently, so one that no longer applies does not block
+// the rest. Returns { applied, failed }.
+function applyEach(patches) {
+  const applied = [];
+  const failed = [];
+  for (const p of patches) {
+    const check = tryGitApply(p.patchPath, { checkOnly: true });
+    const result = check.ok ? tryGitApply(p.patchPath) : check;
+    if (result.ok) {
+      applied.push(p);
+    } else {
+      failed.push({ ...p, error: result.error });
+    }
   }
+  return { applied, failed };
 }
 
-function main() {
+// Walk through the patches one by one: accept applies and stages it right
+// away (so later patches are checked against the result), edit opens it in
+// $EDITOR and checks it again, skip leaves it out
+async function selectInteractively(patches) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  // End of input (Ctrl-D) counts as quitting
+  let closed = false;
+  rl.on('close', () => {
+    closed = true;
+  });
+  const ask = (q) =>
+    new Promise((resolve) => {
+      if (closed) return resolve('q');
+      const onClose = () => resolve('q');
+      rl.once('close', onClose);
+      rl.question(q, (answer) => {
+        rl.off('close', onClose);
+        resolve(answer.trim().toLowerCase());
+      });
+    });
+  const applied = [];
+  const skipped = [];
+
+  try {
+    for (const [i, p] of patches.entries()) {
+      console.log(`\n[ai-review] Patch ${i + 1}/${patches.length}: ${p.file}`);
+      for (const a of p.annotations) {
+        console.log(`  [${a.severity}] [${a.category}] L${a.line}: ${a.message}`);
+      }
+      if (p.notes) console.log(`  Notes: ${p.notes}`);
+      if (p.verification && p.verification.status === 'failed') {
+        console.log('  Verification failed; applying it adds these errors:');
+        for (const e of p.verification.newErrors) console.log(`    ${e.file}:${e.line} [${e.tool}] ${e.message}`);
+      }
+
+      for (;;) {
+        console.log('');
+        console.log(colorizePatch(fs.readFileSync(p.patchPath, 'utf8').trimEnd()));
+        const check = tryGitApply(p.patchPath, { checkOnly: true });
+        if (!check.ok) console.log(`[ai-review] Does not apply: ${check.error.split('\n')[0]}`);
+
+        const answer = await ask(check.ok ? 'Apply this patch? [a]ccept/[s]kip/[e]dit/[q]uit: ' : '[s]kip/[e]dit/[q]uit: ');
+        if (answer === 'a' && check.ok) {
+          const result = tryGitApply(p.patchPath);
+          if (result.ok) {
+            applied.push(p);
+            console.log('[ai-review] Applied and staged.');
+            break;
+          }
+          console.log(`[ai-review] Failed to apply: ${result.error.split('\n')[0]}`);
+        } else if (answer === 'e') {
+          if (!editInEditor(p.patchPath)) console.log('[ai-review] Editor exited with an error; keeping the patch as it is.');
+        } else if (answer === 's') {
+          skipped.push(p);
+          break;
+        } else if (answer === 'q') {
+          skipped.push(...patches.slice(i));
+          return { applied, skipped };
+        }
+      }
+    }
+    return { applied, skipped };
+  } finally {
+    rl.close();
+  }
+}
+
+async function main() {
   const inputFile = process.argv[2] || path.join('.webpack-cache', 'ai-review', 'commit-with-review.json');
   const outCombined = process.argv[3] || path.join('.webpack-cache', 'ai-review', 'autofixes.patch');
   const patchesDir = path.join('.webpack-cache', 'ai-review', 'patches');
-  const shouldOpen = (process.env.AI_REVIEW_OPEN || 'true').toLowerCase() !== 'false' && process.env.CI !== 'true';
-  const shouldApply = (process.env.AI_REVIEW_APPLY || 'false').toLowerCase() === 'true';
+  const applyMode = (process.env.AI_REVIEW_APPLY || 'false').toLowerCase();
+  const interactive = applyMode === 'interactive' || process.argv.includes('--interactive');
+  const shouldApply = applyMode === 'true';
+  const shouldOpen =
+    !interactive && (process.env.AI_REVIEW_OPEN || 'true').toLowerCase() !== 'false' && process.env.CI !== 'true';
 
   const payload = readJson(inputFile);
   const reviews = Array.isArray(payload.reviews) ? payload.reviews : [];
 
-  const individual = [];
+  const patches = [];
+  const unplaceable = [];
+  let normalizedCount = 0;
   let combined = '';
-  let count = 0;
 
   for (const entry of reviews) {
     const filePath = entry.filePath;
     const review = entry.review || {};
     const fixes = Array.isArray(review.autofixes) ? review.autofixes : [];
+    const annotations = Array.isArray(review.annotations) ? review.annotations : [];
     for (const [idx, fix] of fixes.entries()) {
-      const patch = typeof fix.patch === 'string' ? fix.patch.trim() : '';
-      if (!patch) continue;
+      const raw = typeof fix.patch === 'string' ? fix.patch.trim() : '';
+      if (!raw) continue;
       const baseName = sanitizeName(`${path.basename(filePath)}_${idx + 1}`);
       const outPath = path.join(patchesDir, `${baseName}.patch`);
-      writeFileSafe(outPath, patch + (patch.endsWith('\n') ? '' : '\n'));
-      combined += patch + (patch.endsWith('\n') ? '' : '\n');
-      individual.push(outPath);
-      count += 1;
+
+      // Keep patches that cannot be placed on disk for reference, but never
+      // offer them for applying
+      const normalized = normalizePatch(raw, readStagedFile);
+      if (!normalized.ok) {
+        writeFileSafe(outPath, raw + '\n');
+        unplaceable.push({ patchPath: outPath, reason: normalized.reason });
+        continue;
+      }
+      if (normalized.changed) normalizedCount += 1;
+      // Not trimmed: the last context line may be a blank one
+      const patch = normalized.patch;
+      writeFileSafe(outPath, patch);
+      combined += patch;
+      patches.push({
+        file: fix.file || filePath,
+        patchPath: outPath,
+        notes: fix.notes || '',
+        verification: fix.verification || null,
+        annotations: annotationsForPatch(annotations, patch),
+      });
     }
   }
 
   writeFileSafe(outCombined, combined);
 
-  if (count === 0) {
-    console.log('[ai-review] No autofix patches found in review JSON.');
-  } else {
-    console.log(`[ai-review] Wrote ${count} patch(es):`);
-    for (const p of individual) console.log(` - ${p}`);
-    console.log(`[ai-review] Combined patch: ${outCombined}`);
+  for (const u of unplaceable) {
+    console.log(`[ai-review] Cannot place ${u.patchPath}: ${u.reason}`);
+  }
+  if (patches.length === 0) {
+    console.log(
+      unplaceable.length
+        ? '[ai-review] None of the autofix patches could be placed in the staged files.'
+        : '[ai-review] No autofix patches found in review JSON.'
+    );
+    return;
   }
+  console.log(`[ai-review] Wrote ${patches.length} patch(es)${normalizedCount ? `, ${normalizedCount} with repaired hunks` : ''}:`);
+  for (const p of patches) console.log(` - ${p.patchPath}`);
+  console.log(`[ai-review] Combined patch: ${outCombined}`);
 
   if (shouldOpen) {
-    const opened = openInEditor([outCombined, ...individual]);
+    const opened = openInEditor([outCombined, ...patches.map((p) => p.patchPath)]);
     if (opened) console.log('[ai-review] Opening patches in editor...');
   }
 
-  if (shouldApply && count > 0) {
-    const ok = tryGitApply(outCombined, { checkOnly: true });
-    if (!ok) {
-      console.log('[ai-review] Patch does not apply cleanly (check failed). Skipping apply.');
+  if (interactive) {
+    if (!process.stdin.isTTY) {
+      console.error('[ai-review] Interactive mode needs a terminal.');
       process.exit(2);
     }
-    const applied = tryGitApply(outCombined, { checkOnly: false });
-    if (applied) {
-      console.log('[ai-review] Patch applied successfully. Staged changes are ready to commit.');
-    } else {
-      console.log('[ai-review] Failed to apply patch.');
-      process.exit(3);
+    const { applied, skipped } = await selectInteractively(patches);
+    console.log(`\n[ai-review] Applied and staged ${applied.length} patch(es), skipped ${skipped.length}.`);
+    return;
+  }
+
+  if (shouldApply) {
+    const demoted = patches.filter((p) => p.verification && p.verification.status === 'failed');
+    const { applied, failed } = applyEach(patches.filter((p) => !demoted.includes(p)));
+    console.log(`[ai-review] Applied and staged ${applied.length} of ${patches.length} patch(es).`);
+    for (const d of demoted) {
+      console.log(`[ai-review] Skipped ${d.patchPath}: it adds ${d.verification.newErrors.length} lint/type error(s)`);
+    }
+    for (const f of failed) {
+      console.log(`[ai-review] Skipped ${f.patchPath}: ${f.error.split('\n')[0]}`);
     }
+    if (failed.length || demoted.length) process.exit(applied.length ? 0 : 3);
   }
 }
 
-main();
-
-
+main().catch((e) => {
+  console.error(`[ai-review] ${e.message}`);
+  process.exit(1);
+});
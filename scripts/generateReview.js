@@ -1,62 +1,52 @@
 const fs = require("fs");
 const path = require("path");
-const fetch = require("node-fetch");
-const { initDB, search, cleanup, DB_PATH } = require("./contextExtractor.js");
-
-const OLLAMA_URL = process.env.OLLAMA_URL || "http://localhost:11434";
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "qwen2.5-coder";
-
-const SYSTEM_PROMPT = `You are “AI Frontend Quality Guardian” for a React/TypeScript PWA. Review ONLY the provided staged changes. Prioritize correctness, security, accessibility, performance, and developer experience.
- 
-Project specifics:
-- Stack: React 18, TypeScript, Redux/Thunk, Webpack 5, PWA service worker.
-- Patterns: Mobile-first responsive design, proper state management, API error handling, image optimization & lazy loading, SEO/meta tags, service worker hygiene.
-- Linting/Style: ES6+, no var, prefer const/let, proper TS types (avoid any), clear naming, idiomatic React hooks (no rule violations), semantic HTML, CSS without !important, prefer CSS modules.
- 
-Scope & input:
-- You receive a JSON payload from a pre-commit collector with:
-  -  {path,status,language,added,deleted,diffUnified,diffUnifiedNoWhitespace,hunks[{rangeNew,additions[{line,content}]}]}
-  - staged.files[] counts, repo/author meta, notes.todoFixme[]
-- Focus your analysis on added/changed lines using hunks.additions[line, content]. Use the unified diff as context. Do NOT speculate beyond shown changes unless a critical adjacent issue is obvious.
- 
-Categories to check (label each finding with one primary category):
-- code_health: unused imports, dead code, console logs, missing keys, bad naming, brittle logic.
-- accessibility: alt/aria/roles/labels, keyboard focus/semantics, color contrast hints.
-- seo: meta tags, headings structure, link semantics, preloading/lazy loading hints.
-- tech_debt: TODO/FIXME/HACK surfaced from notes.todoFixme or new additions.
-- security: XSS/HTML injection, unsafe URL handling, secrets, SSRF/csrf hints.
-- performance: unnecessary re-renders, heavy sync work, missing memoization, image size/lazy loading, expensive loops.
-
-Output requirements (JSON only):
-{
-  "annotations": [
-    {
-      "file": "string",            // exact file path
-      "line": 123,                 // target new line number (new file numbering)
-      "severity": "must-fix" | "should-fix" | "nit",
-      "category": "code_health" | "accessibility" | "seo" | "tech_debt" | "security" | "performance",
-      "message": "concise human-readable issue",
-      "suggestion": "brief actionable fix",
-      "ruleId": "optional short tag (e.g., react-hooks/exhaustive-deps)"
-    }
-  ],
-  "autofixes": [
-    {
-      "file": "string",
-      "patch": "unified diff applying only safe, localized changes",
-      "notes": "when helpful, explain edge cases or alternatives"
-    }
-  ],
-  "summaryMarkdown": "short, skimmable report grouped by category with counts"
-}
- 
-Rules:
-- Annotate only lines present in hunks.additions. If context is needed, reference it succinctly.
-- Prefer minimal, precise patches. Do not refactor unrelated code.
-- If uncertain or missing context, add an annotation with severity \"should-fix\" and include \"needs-context\" in notes.
-- Keep messages specific, testable, and aligned to the project’s rules above.
-- Avoid duplicating findings for the same line/category; merge where reasonable.
-`;
+const {
+	initDB,
+	search,
+	getDependents,
+	getDependentChunks,
+	formatChunkLocation,
+	cleanup,
+	DB_PATH,
+} = require("./contextExtractor.js");
+
+const {
+	SEVERITIES,
+	CATEGORY_DESCRIPTIONS,
+	loadReviewConfig,
+	buildSystemPrompt,
+	categoryUnion,
+	resolveSeverity,
+	createIgnoreMatcher,
+} = require("./reviewConfig.js");
+const { anchorAnnotations, addedLinesOf } = require("./annotationAnchors.js");
+const {
+	runStaticRules,
+	describeStaticFindings,
+	mergeStaticFindings,
+} = require("./staticRules.js");
+const { loadBaseline, applySuppressions } = require("./reviewBaseline.js");
+const { createRedactor, writeManifest } = require("./redaction.js");
+const { readReviewedSource } = require("./reviewReport.js");
+const { parseHunksAddedLines } = require("./diffUtils.js");
+const {
+	estimateTokens,
+	splitDiffByBudget,
+	fitSections,
+} = require("./tokenBudget.js");
+const {
+	cacheEnabled,
+	cacheKey,
+	readCached,
+	writeCached,
+} = require("./reviewCache.js");
+const { createLlmClient } = require("./llmClient.js");
+const { log } = require("../utils/logger.js");
+const { progressBar } = require("../utils/progressBar.js");
+
+// Bump when the prompts or the post-processing of responses change, so
+// cached reviews produced the old way are not reused
+const PROMPT_VERSION = 2;
 
 const REVIEW_PROMPT_TEMPLATE = `You will receive a unified diff for a single file along with relevant codebase context. 
 Consider the impact of changes on existing code when reviewing.
@@ -67,6 +57,12 @@ CODEBASE CONTEXT:
 VARIABLE REFERENCES:
 {{variables}}
 
+DEPENDENTS (code in other files that imports this file):
+{{dependents}}
+
+ALREADY REPORTED:
+{{covered}}
+
 FILE BEING REVIEWED (UNIFIED DIFF):
 {{diff}}
 
@@ -86,7 +82,7 @@ Produce ONE strict JSON object ONLY, following exactly this schema:
     "file": string,
     "line": number,
     "severity": "must-fix" | "should-fix" | "nit",
-    "category": "code_health" | "accessibility" | "seo" | "tech_debt" | "security" | "performance",
+    "category": {{categories}},
     "message": string,
     "suggestion": string,
     "ruleId"?: string
@@ -99,6 +95,75 @@ Produce ONE strict JSON object ONLY, following exactly this schema:
   "summaryMarkdown": string
 }`;
 
+const REPAIR_PROMPT_TEMPLATE = `Your previous response could not be used: {{error}}
+
+PREVIOUS RESPONSE:
+{{response}}
+
+Return the same review as ONE strict JSON object with "annotations", "autofixes" and "summaryMarkdown". Output ONLY the JSON object. No code fences, no prose.`;
+
+// Longest previous response fed back in a repair request
+const MAX_REPAIR_RESPONSE_CHARS = 12000;
+
+// JSON schema of a review, sent to the model server as Ollama's `format`
+// or OpenAI's `response_format` so generation is constrained to it.
+// Mirrors the schema spelled out in the prompts.
+function buildResponseSchema(config) {
+	return {
+		type: "object",
+		properties: {
+			annotations: {
+				type: "array",
+				items: {
+					type: "object",
+					properties: {
+						file: { type: "string" },
+						line: { type: "integer" },
+						severity: { type: "string", enum: SEVERITIES },
+						category: { type: "string", enum: config.categories },
+						message: { type: "string" },
+						suggestion: { type: "string" },
+						ruleId: { type: "string" },
+					},
+					required: [
+						"file",
+						"line",
+						"severity",
+						"category",
+						"message",
+						"suggestion",
+					],
+				},
+			},
+			autofixes: {
+				type: "array",
+				items: {
+					type: "object",
+					properties: {
+						file: { type: "string" },
+						patch: { type: "string" },
+						notes: { type: "string" },
+					},
+					required: ["file", "patch"],
+				},
+			},
+			summaryMarkdown: { type: "string" },
+		},
+		required: ["annotations", "autofixes", "summaryMarkdown"],
+	};
+}
+
+function responseFormat(config) {
+	switch (config.model.structuredOutput) {
+		case "schema":
+			return buildResponseSchema(config);
+		case "json":
+			return "json";
+		default:
+			return undefined;
+	}
+}
+
 function stripCodeFences(text) {
 	if (typeof text !== "string") return "";
 	// remove typical ```json ... ``` or ``` ... ``` wrappers
@@ -125,37 +190,58 @@ function extractJsonObject(text) {
 	return null;
 }
 
-function coerceSchema(obj, filePath) {
+// { value } for a usable review object, { error } describing why not
+function parseReviewResponse(text) {
+	if (typeof text !== "string" || !text.trim()) {
+		return { error: "the response was empty" };
+	}
+	const parsed = extractJsonObject(text);
+	if (!parsed) {
+		try {
+			JSON.parse(stripCodeFences(text));
+		} catch (e) {
+			return { error: `invalid JSON (${e.message})` };
+		}
+	}
+	if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+		return { error: "expected a JSON object at the top level" };
+	}
+	if (!Array.isArray(parsed.annotations)) {
+		return { error: 'the object has no "annotations" array' };
+	}
+	return { value: parsed };
+}
+
+function coerceSchema(obj, filePath, config = loadReviewConfig()) {
 	const out = obj && typeof obj === "object" ? obj : {};
 	if (!Array.isArray(out.annotations)) out.annotations = [];
 	if (!Array.isArray(out.autofixes)) out.autofixes = [];
 	if (typeof out.summaryMarkdown !== "string") out.summaryMarkdown = "";
 	// Normalize fields inside annotations/autofixes
-	out.annotations = out.annotations.map((a) => ({
-		file: a && typeof a.file === "string" ? a.file : filePath,
-		line: typeof a?.line === "number" ? a.line : 0,
-		severity:
-			a?.severity === "must-fix" ||
-			a?.severity === "should-fix" ||
-			a?.severity === "nit"
-				? a.severity
-				: "should-fix",
-		category: [
-			"code_health",
-			"accessibility",
-			"seo",
-			"tech_debt",
-			"security",
-			"performance",
-		].includes(a?.category)
-			? a.category
-			: "code_health",
-		message:
-			typeof a?.message === "string" ? a.message : "Unparsed model output",
-		suggestion:
-			typeof a?.suggestion === "string" ? a.suggestion : "needs-context",
-		...(a?.ruleId ? { ruleId: a.ruleId } : {}),
-	}));
+	out.annotations = out.annotations
+		.map((a) => ({
+			file: a && typeof a.file === "string" ? a.file : filePath,
+			line: typeof a?.line === "number" ? a.line : 0,
+			severity:
+				a?.severity === "must-fix" ||
+				a?.severity === "should-fix" ||
+				a?.severity === "nit"
+					? a.severity
+					: "should-fix",
+			category: config.categories.includes(a?.category)
+				? a.category
+				: CATEGORY_DESCRIPTIONS[a?.category]
+					? null // a category the project has disabled
+					: config.categories[0],
+			message:
+				typeof a?.message === "string" ? a.message : "Unparsed model output",
+			suggestion:
+				typeof a?.suggestion === "string" ? a.suggestion : "needs-context",
+			...(a?.ruleId ? { ruleId: a.ruleId } : {}),
+		}))
+		.filter((a) => a.category)
+		.map((a) => ({ ...a, severity: resolveSeverity(a, config) }))
+		.filter((a) => a.severity);
 	out.autofixes = out.autofixes.map((f) => ({
 		file: f && typeof f.file === "string" ? f.file : filePath,
 		patch: typeof f?.patch === "string" ? f.patch : "",
@@ -164,16 +250,213 @@ function coerceSchema(obj, filePath) {
 	return out;
 }
 
-// Add logger utility
-const log = {
-	step: (msg) => console.log(`\n🔵 ${msg}`),
-	success: (msg) => console.log(`✅ ${msg}`),
-	warn: (msg) => console.log(`⚠️  ${msg}`),
-	error: (msg) => console.error(`❌ ${msg}`),
-	info: (msg) => console.log(`ℹ️  ${msg}`),
-};
+// Timeouts, retries and the provider's wire format are the client's job
+function requestCompletion(config, { system, prompt, format, signal }) {
+	return createLlmClient(config.model).complete({
+		system,
+		prompt,
+		format,
+		signal,
+	});
+}
+
+// Review request with schema-constrained output. Unparseable responses are
+// sent back with the parse error, up to `model.repairRetries` times.
+// Returns { parsed, attempts, errors }; `parsed` is null when every attempt failed.
+async function requestReview(config, system, prompt, signal) {
+	let format = responseFormat(config);
+	let text;
+	try {
+		text = await requestCompletion(config, { system, prompt, format, signal });
+	} catch (error) {
+		// Ollama before 0.5 and some OpenAI-compatible servers reject a schema;
+		// plain JSON mode still helps
+		if (error.status !== 400 || typeof format !== "object") throw error;
+		log.warn("Model server rejected the JSON schema; retrying in JSON mode");
+		format = "json";
+		text = await requestCompletion(config, { system, prompt, format, signal });
+	}
+
+	const errors = [];
+	let result = parseReviewResponse(text);
+	for (
+		let retry = 0;
+		result.error && retry < config.model.repairRetries;
+		retry++
+	) {
+		errors.push(result.error);
+		log.warn(
+			`Could not use AI response (${result.error}); asking for a repair...`
+		);
+		text = await requestCompletion(config, {
+			system,
+			prompt: fillTemplate(REPAIR_PROMPT_TEMPLATE, {
+				error: result.error,
+				response: String(text || "").slice(0, MAX_REPAIR_RESPONSE_CHARS),
+			}),
+			format,
+			signal,
+		});
+		result = parseReviewResponse(text);
+	}
+	if (result.error) errors.push(result.error);
+
+	return {
+		parsed: result.value || null,
+		attempts: errors.length + (result.error ? 0 : 1),
+		errors,
+		lastResponse: text,
+	};
+}
+
+// A review that records why the file went unreviewed
+function failedReview(filePath, config, failure) {
+	return {
+		...coerceSchema(
+			{
+				summaryMarkdown: `Review failed (${failure.stage}): ${failure.message}`,
+			},
+			filePath,
+			config
+		),
+		failure,
+	};
+}
+
+// Share of the prompt budget left after the system prompt and template that
+// goes to the diff; the rest is codebase context
+const DIFF_BUDGET_SHARE = 0.6;
+
+// The fields of a collector file entry the model needs, for one part of its
+// diff. diffUnifiedNoWhitespace is left out since it repeats the diff.
+function filePart(file, diffText, index, count) {
+	return {
+		path: file.path,
+		status: file.status,
+		language: file.language,
+		added: file.added,
+		deleted: file.deleted,
+		...(count > 1 ? { part: index + 1, parts: count } : {}),
+		diffUnified: diffText,
+		hunks: parseHunksAddedLines(diffText),
+	};
+}
+
+function formatVariables(r) {
+	const vars = Object.entries(r.variables)
+		.map(
+			([name, refs]) =>
+				`${name}: ${refs
+					.map(
+						(ref) =>
+							`${ref.type} at line ${ref.line}${
+								ref.source ? ` (from ${ref.source})` : ""
+							}`
+					)
+					.join(", ")}`
+		)
+		.join("\n");
+	return `${formatChunkLocation(r)}:\n${vars}`;
+}
+
+// Fill the {{name}} slots of a prompt template in one pass. The function
+// replacement keeps "$&" and the like in a value literal, and a slot name
+// inside a value (code under review may contain "{{diff}}") is never
+// expanded.
+function fillTemplate(template, values) {
+	return template.replace(/\{\{(\w+)\}\}/g, (slot, name) =>
+		Object.hasOwn(values, name) ? values[name] : slot
+	);
+}
+
+function renderPrompt(
+	config,
+	{ context, variables, dependents, file, staticFindings = [] }
+) {
+	return fillTemplate(REVIEW_PROMPT_TEMPLATE, {
+		context: context.join("\n\n"),
+		variables: variables.join("\n\n"),
+		dependents: dependents.join("\n\n") || "None found.",
+		covered: describeStaticFindings(staticFindings),
+		categories: categoryUnion(config),
+		diff: JSON.stringify(file),
+	});
+}
+
+// Review one part of a file's diff with as much context as still fits
+async function reviewPart(
+	db,
+	config,
+	system,
+	part,
+	dependentItems,
+	staticFindings,
+	redactor,
+	signal
+) {
+	// Context from denied files is dropped; the rest is masked as sent,
+	// locations included
+	const searchResults = (await search(db, part.diffUnified, 5)).filter(
+		(r) => !redactor.isDenied(r.path, part.path, "context")
+	);
+	const promptBudget =
+		config.model.contextTokens -
+		config.model.responseTokens -
+		estimateTokens(system);
+	const bare = renderPrompt(config, {
+		context: [],
+		variables: [],
+		dependents: [],
+		file: part,
+		staticFindings,
+	});
+	const fitted = fitSections(
+		{
+			context: searchResults.map((r) =>
+				redactor.text(
+					`File: ${formatChunkLocation(r)}\n${r.content}`,
+					part.path,
+					"context"
+				)
+			),
+			dependents: dependentItems,
+			variables: searchResults.map((r) =>
+				redactor.text(formatVariables(r), part.path, "variables")
+			),
+		},
+		Math.max(0, promptBudget - estimateTokens(bare))
+	);
+	log.info(
+		`Context: ${fitted.context.length}/${searchResults.length} chunks, ${fitted.dependents.length}/${dependentItems.length} dependents`
+	);
+	return requestReview(
+		config,
+		system,
+		renderPrompt(config, { ...fitted, file: part, staticFindings }),
+		signal
+	);
+}
+
+function mergePartReviews(results) {
+	if (results.length === 1) return results[0];
+	return {
+		annotations: results.flatMap((r) => r.annotations),
+		autofixes: results.flatMap((r) => r.autofixes),
+		summaryMarkdown: results
+			.map(
+				(r, i) => `**Part ${i + 1}/${results.length}**\n\n${r.summaryMarkdown}`
+			)
+			.join("\n\n"),
+	};
+}
 
-async function generateReviewForFile(db, filePath, file) {
+async function generateReviewForFile(
+	db,
+	filePath,
+	file,
+	config = loadReviewConfig(),
+	{ signal, staticFindings = [], redactor = createRedactor(config) } = {}
+) {
 	log.step(`Generating review for ${filePath}`);
 	try {
 		// Check if DB exists
@@ -183,77 +466,338 @@ async function generateReviewForFile(db, filePath, file) {
 			);
 		}
 
-		log.info("Searching for relevant files...");
-		const searchResults = await search(db, file.diffUnified, 3);
-		log.info(`Found ${searchResults.length} relevant files`);
-
-		log.info("Building context...");
-		const contextText = searchResults
-			.map((r) => `File: ${r.path}\n${r.content}`)
-			.join("\n\n");
-		const variablesText = searchResults
-			.map((r) => {
-				const vars = Object.entries(r.variables)
-					.map(
-						([name, refs]) =>
-							`${name}: ${refs
-								.map(
-									(ref) =>
-										`${ref.type} at line ${ref.line}${
-											ref.source ? ` (from ${ref.source})` : ""
-										}`
-								)
-								.join(", ")}`
-					)
-					.join("\n");
-				return `${r.path}:\n${vars}`;
+		const system = buildSystemPrompt(config);
+		const bareTokens = estimateTokens(
+			renderPrompt(config, {
+				context: [],
+				variables: [],
+				dependents: [],
+				file: filePart(file, "", 0, 1),
+				staticFindings,
 			})
-			.join("\n\n");
-
-		log.info("Requesting AI review...");
-		const response = await fetch(`${OLLAMA_URL}/api/generate`, {
-			method: "POST",
-			headers: { "Content-Type": "application/json" },
-			body: JSON.stringify({
-				model: OLLAMA_MODEL,
-				system: SYSTEM_PROMPT,
-				prompt: REVIEW_PROMPT_TEMPLATE.replace("{{context}}", contextText)
-					.replace("{{variables}}", variablesText)
-					.replace("{{diff}}", JSON.stringify(file)),
-				stream: false,
-			}),
-		});
-
-		if (!response.ok) {
-			throw new Error(`Ollama API error: ${response.status}`);
+		);
+		const available =
+			config.model.contextTokens -
+			config.model.responseTokens -
+			estimateTokens(system) -
+			bareTokens;
+		if (available <= 0) {
+			throw new Error(
+				`model.contextTokens (${config.model.contextTokens}) leaves no room for the diff after the prompt and response reserve`
+			);
+		}
+		// The added lines appear twice in a part (diff and hunks), so the diff
+		// itself gets half of its share
+		const diffBudget = Math.floor((available * DIFF_BUDGET_SHARE) / 2);
+		const diffs = splitDiffByBudget(file.diffUnified, diffBudget);
+		if (diffs.length > 1) {
+			log.info(
+				`Diff is ~${estimateTokens(file.diffUnified)} tokens; reviewing in ${diffs.length} parts`
+			);
 		}
 
-		const data = await response.json();
-		log.info("Parsing AI response...");
-		const parsed = extractJsonObject(data.response);
+		log.info("Looking up dependents...");
+		const dependents = await getDependents(db, filePath);
+		const dependentChunks = (await getDependentChunks(db, filePath, 5)).filter(
+			(c) => !redactor.isDenied(c.path, filePath, "dependents")
+		);
+		log.info(
+			`Found ${dependents.length} importing files, ${dependentChunks.length} using chunks`
+		);
+		const dependentItems = dependents.length
+			? [
+					...dependents.map(
+						(d) =>
+							`${d.path}:${d.line} ${d.kind} ${d.names.join(", ") || "*"} from "${d.source}"`
+					),
+					...dependentChunks.map(
+						(c) => `File: ${formatChunkLocation(c)}\n${c.content}`
+					),
+				].map((item) => redactor.text(item, filePath, "dependents"))
+			: [];
 
-		if (!parsed) {
-			log.warn("Failed to parse AI response");
-			return coerceSchema(
-				{ summaryMarkdown: "Model response could not be parsed to JSON." },
-				filePath
+		const results = [];
+		const partFailures = [];
+		const repairs = [];
+		for (const [index, diffText] of diffs.entries()) {
+			const part = filePart(
+				file,
+				redactor.text(diffText, filePath, "diff"),
+				index,
+				diffs.length
 			);
+			const label =
+				diffs.length > 1 ? ` (part ${index + 1}/${diffs.length})` : "";
+			log.info(`Requesting AI review${label}...`);
+			if (signal && signal.aborted) throw new Error("Review aborted");
+			const review = await reviewPart(
+				db,
+				config,
+				system,
+				part,
+				dependentItems,
+				staticFindings,
+				redactor,
+				signal
+			);
+
+			if (!review.parsed) {
+				log.warn(
+					`Failed to parse AI response${label} after ${review.errors.length} attempt(s)`
+				);
+				partFailures.push({
+					stage: "parse",
+					message: review.errors[review.errors.length - 1],
+					attempts: review.errors.length,
+					errors: review.errors,
+					responseExcerpt: String(review.lastResponse || "").slice(0, 500),
+					...(diffs.length > 1 ? { part: index + 1, parts: diffs.length } : {}),
+				});
+				continue;
+			}
+			if (review.errors.length) {
+				repairs.push({ attempts: review.attempts, errors: review.errors });
+			}
+			results.push(coerceSchema(review.parsed, filePath, config));
+		}
+
+		if (!results.length) {
+			return failedReview(filePath, config, partFailures[0]);
 		}
 
-		const result = coerceSchema(parsed, filePath);
+		const result = mergePartReviews(results);
+		if (diffs.length > 1) result.parts = diffs.length;
+		if (partFailures.length) result.partFailures = partFailures;
+		if (repairs.length) result.repairs = repairs;
+		const anchored = anchorAnnotations(
+			result.annotations,
+			filePath,
+			file,
+			config.anchoring
+		);
+		result.annotations = anchored.annotations;
+		result.anchoring = anchored.stats;
+		const { snapped, outsideDiff, dropped, duplicates } = anchored.stats;
+		if (snapped || outsideDiff || duplicates) {
+			log.info(
+				`Anchoring: ${snapped} snapped to added lines, ${outsideDiff} outside the diff (${dropped} dropped), ${duplicates} duplicates merged`
+			);
+		}
 		log.success(
 			`Review complete: ${result.annotations.length} annotations, ${result.autofixes.length} suggested fixes`
 		);
 		return result;
 	} catch (error) {
-		log.error(`Review generation failed: ${error.message}`);
-		return coerceSchema(
-			{
-				summaryMarkdown: `Failed to access codebase context: ${error.message}`,
-			},
-			filePath
+		// The caller already reports timeouts and cancellation
+		if (!(signal && signal.aborted)) {
+			log.error(`Review generation failed: ${error.message}`);
+		}
+		return failedReview(filePath, config, {
+			stage: "request",
+			message: error.message,
+		});
+	}
+}
+
+// Run `worker` over `items` with at most `concurrency` in flight
+async function runPool(items, concurrency, worker) {
+	let next = 0;
+	const runners = Array.from(
+		{ length: Math.min(concurrency, items.length) },
+		async () => {
+			while (next < items.length) {
+				const index = next++;
+				await worker(items[index], index);
+			}
+		}
+	);
+	await Promise.all(runners);
+}
+
+// Review one file, giving up after `timeoutMs` or when `signal` aborts.
+// Never rejects: timeouts and cancellation come back as failed reviews.
+async function reviewFileWithTimeout(
+	db,
+	file,
+	config,
+	signal,
+	timeoutMs,
+	staticFindings,
+	redactor
+) {
+	if (signal && signal.aborted) {
+		return failedReview(file.path, config, {
+			stage: "cancelled",
+			message: "Review cancelled before this file was started",
+		});
+	}
+
+	const controller = new AbortController();
+	const onAbort = () => controller.abort();
+	if (signal) signal.addEventListener("abort", onAbort);
+	let timer;
+	const timeout = new Promise((resolve) => {
+		timer = setTimeout(() => {
+			controller.abort();
+			resolve(
+				failedReview(file.path, config, {
+					stage: "timeout",
+					message: `No review within ${timeoutMs / 1000}s`,
+				})
+			);
+		}, timeoutMs);
+	});
+
+	try {
+		const review = await Promise.race([
+			generateReviewForFile(db, file.path, file, config, {
+				signal: controller.signal,
+				staticFindings,
+				redactor,
+			}),
+			timeout,
+		]);
+		if (signal && signal.aborted && review.failure) {
+			return failedReview(file.path, config, {
+				stage: "cancelled",
+				message: "Review cancelled while this file was in progress",
+			});
+		}
+		return review;
+	} finally {
+		clearTimeout(timer);
+		if (signal) signal.removeEventListener("abort", onAbort);
+	}
+}
+
+// Cache key for a file's review: its diff, the model and everything that
+// shapes the prompt or post-processes the answer, including the static
+// findings the prompt lists. The codebase context is not part of it; purge
+// the cache after large refactors.
+function reviewCacheKey(file, config, staticFindings) {
+	const { execution, gate, verify, secrets, embeddings, ...reviewSettings } =
+		config;
+	// How the answer is fetched does not change it
+	const { requestTimeoutSeconds, retries, stream, fixtures, record, ...model } =
+		config.model;
+	return cacheKey({
+		promptVersion: PROMPT_VERSION,
+		path: file.path,
+		diff: file.diffUnified,
+		model: config.model.name,
+		config: { ...reviewSettings, model },
+		staticFindings,
+	});
+}
+
+// Review every text file in a collector payload and return the payload with
+// `reviews` attached. Shared by the CLI below, the pre-push hook and the
+// review server. Aborting `signal` stops outstanding requests; files not
+// reviewed by then are recorded as cancelled and the rest are kept.
+async function reviewPayload(
+	db,
+	payload,
+	config = loadReviewConfig(),
+	{ signal } = {}
+) {
+	log.info(`Processing ${payload.diff.byFile.length} changed files...`);
+	const isIgnored = createIgnoreMatcher(config);
+	const redactor = createRedactor(config);
+	const files = payload.diff.byFile.filter((file) => {
+		if (isIgnored(file.path)) {
+			log.info(`Skipping ${file.path} (ignorePaths)`);
+			return false;
+		}
+		if (redactor.isDenied(file.path, file.path, "diff")) {
+			log.info(`Skipping ${file.path} (redaction.denyPaths)`);
+			return false;
+		}
+		return file.diffUnified && !/Binary files/.test(file.diffUnified);
+	});
+
+	const { concurrency, fileTimeoutSeconds } = config.execution;
+	const reviews = new Array(files.length);
+	progressBar.init(files.length, "Reviewing");
+	const useCache = cacheEnabled();
+	const baseline = loadBaseline();
+	let cacheHits = 0;
+	await runPool(files, concurrency, async (file, index) => {
+		// Static findings do not need the model, so they are kept even when
+		// its review fails
+		const source = readReviewedSource(payload, file.path);
+		const staticFindings = runStaticRules(
+			source,
+			file.path,
+			addedLinesOf(file),
+			config
+		);
+		const key = useCache ? reviewCacheKey(file, config, staticFindings) : null;
+		const cached = key ? readCached(key) : null;
+		let review;
+		if (cached) {
+			cacheHits += 1;
+			review = { ...cached, cached: true };
+		} else {
+			review = await reviewFileWithTimeout(
+				db,
+				file,
+				config,
+				signal,
+				fileTimeoutSeconds * 1000,
+				staticFindings,
+				redactor
+			);
+			if (key && !review.failure && !review.partFailures) {
+				writeCached(key, review);
+			}
+		}
+		// After the cache: changing the baseline must not invalidate reviews
+		review = applySuppressions(
+			mergeStaticFindings(review, staticFindings),
+			file.path,
+			source,
+			baseline
+		);
+		file.review = review;
+		reviews[index] = { filePath: file.path, review };
+		progressBar.increment();
+	});
+
+	if (cacheHits) {
+		log.info(`Reused ${cacheHits} cached review(s) for unchanged files`);
+	}
+	const redacted = writeManifest("prompt", redactor);
+	if (redacted.total) {
+		log.info(
+			`Redacted ${redacted.total} item(s) from the review prompts (see the redaction manifest)`
+		);
+	}
+	const suppressedCount = reviews.reduce(
+		(acc, r) => acc + (r.review.suppressed || []).length,
+		0
+	);
+	if (suppressedCount) {
+		log.info(
+			`${suppressedCount} finding(s) suppressed by ignore comments or the baseline`
 		);
 	}
+
+	const reviewFailures = reviews.flatMap((r) =>
+		[r.review.failure, ...(r.review.partFailures || [])]
+			.filter(Boolean)
+			.map((failure) => ({ filePath: r.filePath, ...failure }))
+	);
+	if (reviewFailures.length) {
+		log.warn(`${reviewFailures.length} file(s) could not be reviewed`);
+	}
+
+	return {
+		...payload,
+		reviews: reviews,
+		reviewFailures,
+		...(signal && signal.aborted ? { reviewCancelled: true } : {}),
+		reviewGeneratedAt: new Date().toISOString(),
+	};
 }
 
 async function main() {
@@ -271,29 +815,36 @@ async function main() {
 		log.info("Loading codebase context...");
 		db = initDB();
 
-		log.info(`Processing ${payload.diff.byFile.length} changed files...`);
-		const reviews = [];
-		for (const file of payload.diff.byFile) {
-			if (file.diffUnified && !/Binary files/.test(file.diffUnified)) {
-				const review = await generateReviewForFile(db, file.path, file);
-				file.review = review;
-				reviews.push({ filePath: file.path, review });
+		// First Ctrl-C stops the review and keeps what is done; a second one
+		// exits immediately
+		const controller = new AbortController();
+		process.on("SIGINT", () => {
+			if (controller.signal.aborted) process.exit(130);
+			log.warn(
+				"Cancelling review; saving partial results (Ctrl-C again to quit)"
+			);
+			controller.abort();
+		});
+
+		const updatedPayload = await reviewPayload(
+			db,
+			payload,
+			loadReviewConfig(),
+			{
+				signal: controller.signal,
 			}
-		}
+		);
 
 		log.info("Saving review results...");
-		const updatedPayload = {
-			...payload,
-			reviews: reviews,
-			reviewGeneratedAt: new Date().toISOString(),
-		};
-
 		fs.writeFileSync(outputFile, JSON.stringify(updatedPayload, null, 2));
 		log.success(`Reviews saved to ${outputFile}`);
-		process.exit(0);
+		// A cancelled review still lets the commit through; the partial
+		// results carry `reviewCancelled` and the gate decides on them
+		if (updatedPayload.reviewCancelled) log.warn("Review was cancelled");
 	} catch (error) {
 		log.error(`Review process failed: ${error.message}`);
-		process.exit(1);
+		// Not process.exit(): the database must still be closed below
+		process.exitCode = 1;
 	} finally {
 		if (db) {
 			log.info("Cleaning up database connection...");
@@ -302,4 +853,8 @@ async function main() {
 	}
 }
 
-main();
+module.exports = { reviewPayload, generateReviewForFile };
+
+if (require.main === module) {
+	main();
+}
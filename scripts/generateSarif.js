@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/*
+ Export review annotations as SARIF 2.1.0 so editors and code-scanning
+ dashboards can show the AI findings next to ESLint results.
+
+ Usage: node scripts/generateSarif.js [input.json] [output.sarif]
+ Defaults to commit-with-review.json -> reviews.sarif in .webpack-cache/ai-review.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { parsePatchHunks, patchNewRanges } = require('./diffUtils.js');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SRCROOT = 'SRCROOT';
+
+const LEVELS = { 'must-fix': 'error', 'should-fix': 'warning', nit: 'note' };
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function ensureDir(filePath) {
+  const dir = path.dirname(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+function toUri(filePath) {
+  return String(filePath).split(path.sep).join('/').replace(/^\.\//, '');
+}
+
+// Annotations without a model-supplied ruleId are grouped per category
+function ruleIdFor(a) {
+  return a.ruleId || `ai-review/${a.category || 'code_health'}`;
+}
+
+function artifactLocation(filePath) {
+  return { uri: toUri(filePath), uriBaseId: SRCROOT };
+}
+
+// One SARIF replacement per hunk, covering the old lines from the first to
+// the last change. A pure insertion is an empty region at its insertion point.
+function patchToReplacements(patch) {
+  const replacements = [];
+  for (const hunk of parsePatchHunks(patch)) {
+    const first = hunk.lines.findIndex((l) => l.type !== ' ');
+    if (first === -1) continue;
+    let last = hunk.lines.length - 1;
+    while (hunk.lines[last].type === ' ') last -= 1;
+
+    // Old line number where the changed span starts
+    const startLine = hunk.oldStart + hunk.lines.slice(0, first).filter((l) => l.type !== '+').length;
+    const span = hunk.lines.slice(first, last + 1);
+    const deleted = span.filter((l) => l.type !== '+').length;
+    const inserted = span.filter((l) => l.type !== '-').map((l) => `${l.content}\n`).join('');
+
+    const deletedRegion = deleted
+      ? { startLine, startColumn: 1, endLine: startLine + deleted, endColumn: 1 }
+      : { startLine, startColumn: 1, endLine: startLine, endColumn: 1 };
+    replacements.push({ deletedRegion, insertedContent: { text: inserted } });
+  }
+  return replacements;
+}
+
+function toSarifFix(fix, filePath) {
+  const replacements = patchToReplacements(fix.patch || '');
+  if (!replacements.length) return null;
+  return {
+    description: { text: fix.notes || 'AI-suggested patch' },
+    artifactChanges: [{ artifactLocation: artifactLocation(fix.file || filePath), replacements }],
+  };
+}
+
+function toSarifResult(a, ruleIndex, fixes) {
+  const region = typeof a.line === 'number' && a.line > 0 ? { region: { startLine: a.line } } : {};
+  const text = a.suggestion && a.suggestion !== 'needs-context' ? `${a.message} Suggestion: ${a.suggestion}` : a.message;
+  return {
+    ruleId: ruleIdFor(a),
+    ruleIndex,
+    level: LEVELS[a.severity] || 'warning',
+    message: { text: text || 'AI review finding' },
+    locations: [{ physicalLocation: { artifactLocation: artifactLocation(a.file), ...region } }],
+    ...(fixes.length ? { fixes } : {}),
+    ...(a.fingerprint ? { partialFingerprints: { 'aiReview/v1': a.fingerprint } } : {}),
+    // Suppressed findings stay in the log so dashboards can show them as such
+    ...(a.suppressedBy ? { suppressions: [{ kind: a.suppressedBy === 'comment' ? 'inSource' : 'external' }] } : {}),
+    properties: {
+      severity: a.severity,
+      category: a.category,
+      ...(a.suggestion ? { suggestion: a.suggestion } : {}),
+    },
+  };
+}
+
+function toSarif(payload) {
+  const repo = payload.repo || {};
+  const reviews = Array.isArray(payload.reviews) ? payload.reviews : [];
+  const rules = [];
+  const ruleIndexById = new Map();
+  const results = [];
+
+  const ruleIndex = (a) => {
+    const id = ruleIdFor(a);
+    if (!ruleIndexById.has(id)) {
+      ruleIndexById.set(id, rules.length);
+      rules.push({
+        id,
+        shortDescription: { text: a.ruleId ? `${a.ruleId} (AI review)` : `AI review: ${a.category || 'code_health'}` },
+        defaultConfiguration: { level: LEVELS[a.severity] || 'warning' },
+        properties: { category: a.category || 'code_health' },
+      });
+    }
+    return ruleIndexById.get(id);
+  };
+
+  for (const entry of reviews) {
+    const review = entry.review || {};
+    const annotations = (Array.isArray(review.annotations) ? review.annotations : []).map((a) => ({
+      ...a,
+      file: a.file || entry.filePath,
+    }));
+    // Patches that failed verification are not offered as one-click fixes
+    const fixes = (Array.isArray(review.autofixes) ? review.autofixes : [])
+      .filter((fix) => !fix.verification || ['passed', 'skipped'].includes(fix.verification.status))
+      .map((fix) => ({ fix, sarif: toSarifFix(fix, entry.filePath), ranges: patchNewRanges(fix.patch || '') }))
+      .filter((f) => f.sarif);
+
+    // A patch belongs to the annotations on lines it touches; one that
+    // matches none goes to the file's first annotation instead of being lost
+    const unclaimed = new Set(fixes);
+    const resultFixes = annotations.map((a) => {
+      const matching = fixes.filter((f) => f.ranges.some((r) => a.line >= r.start && a.line <= r.end));
+      matching.forEach((f) => unclaimed.delete(f));
+      return matching;
+    });
+    if (annotations.length) {
+      resultFixes[0].push(...unclaimed);
+      unclaimed.clear();
+    }
+
+    annotations.forEach((a, i) => {
+      results.push(toSarifResult(a, ruleIndex(a), resultFixes[i].map((f) => f.sarif)));
+    });
+
+    for (const s of Array.isArray(review.suppressed) ? review.suppressed : []) {
+      const a = { ...s, file: s.file || entry.filePath };
+      results.push(toSarifResult(a, ruleIndex(a), []));
+    }
+
+    // Patches for a file without findings still reach the dashboard
+    for (const f of unclaimed) {
+      const a = {
+        file: f.fix.file || entry.filePath,
+        line: f.ranges.length ? f.ranges[0].start : 0,
+        severity: 'nit',
+        category: 'code_health',
+        ruleId: 'ai-review/autofix',
+        message: f.fix.notes || 'AI-suggested patch',
+      };
+      results.push(toSarifResult(a, ruleIndex(a), [f.sarif]));
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: { name: 'ai-review', rules },
+        },
+        ...(repo.root ? { originalUriBaseIds: { [SRCROOT]: { uri: `file://${toUri(path.resolve(repo.root))}/` } } } : {}),
+        results,
+        properties: {
+          head: repo.head || null,
+          branch: repo.branch || null,
+          generatedAt: payload.reviewGeneratedAt || payload.generatedAt || null,
+        },
+      },
+    ],
+  };
+}
+
+function main() {
+  const inputFile = process.argv[2] || path.join('.webpack-cache', 'ai-review', 'commit-with-review.json');
+  const outputFile = process.argv[3] || path.join('.webpack-cache', 'ai-review', 'reviews.sarif');
+  const sarif = toSarif(readJson(inputFile));
+  ensureDir(outputFile);
+  fs.writeFileSync(outputFile, JSON.stringify(sarif, null, 2), 'utf8');
+  console.log(`[ai-review] SARIF report written to ${outputFile} (${sarif.runs[0].results.length} results)`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { toSarif, patchToReplacements };
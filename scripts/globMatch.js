@@ -0,0 +1,61 @@
+/*
+ Minimal glob matching for path filters and ignore lists.
+ Supports `**` (any number of directories), `*`, `?` and `{a,b}` alternation.
+ Patterns without a slash match the basename anywhere, like .gitignore.
+*/
+
+const path = require("path");
+
+function globToRegExp(glob) {
+	let re = "";
+	for (let i = 0; i < glob.length; i++) {
+		const ch = glob[i];
+		if (ch === "*") {
+			if (glob[i + 1] === "*") {
+				// "**/" matches zero or more directories
+				const slash = glob[i + 2] === "/";
+				re += slash ? "(?:.*/)?" : ".*";
+				i += slash ? 2 : 1;
+			} else {
+				re += "[^/]*";
+			}
+		} else if (ch === "?") {
+			re += "[^/]";
+		} else if (ch === "{") {
+			const close = glob.indexOf("}", i);
+			if (close === -1) {
+				re += "\\{";
+			} else {
+				const options = glob.slice(i + 1, close).split(",");
+				re += `(?:${options.map((o) => globToRegExp(o).source.slice(1, -1)).join("|")})`;
+				i = close;
+			}
+		} else {
+			re += ch.replace(/[.+^$()|[\]\\]/g, "\\$&");
+		}
+	}
+	return new RegExp(`^${re}$`);
+}
+
+// Returns a predicate for one glob or a list of globs. Paths are compared
+// relative to `rootDir` with forward slashes.
+function createGlobMatcher(globs, rootDir = process.cwd()) {
+	const list = (Array.isArray(globs) ? globs : [globs]).filter(Boolean);
+	const matchers = list.map((glob) => {
+		const re = globToRegExp(glob.replace(/^\.\//, ""));
+		return glob.includes("/")
+			? (rel) => re.test(rel)
+			: (rel) => re.test(path.posix.basename(rel));
+	});
+	return (filePath) => {
+		const rel = (
+			path.isAbsolute(filePath) ? path.relative(rootDir, filePath) : filePath
+		)
+			.split(path.sep)
+			.join("/")
+			.replace(/^\.\//, "");
+		return matchers.some((match) => match(rel));
+	};
+}
+
+module.exports = { globToRegExp, createGlobMatcher };
@@ -1,4 +1,15 @@
-const { initDB, addFile } = require("./contextExtractor.js");
+const {
+	initDB,
+	addFile,
+	removeFile,
+	touchFile,
+	getIndexedFiles,
+	isIndexCurrent,
+	hashContent,
+	ensureEmbeddingProvider,
+	indexPath,
+	cleanup,
+} = require("./contextExtractor.js");
 const fs = require("fs");
 const path = require("path");
 
@@ -15,7 +26,11 @@ const CODE_EXTENSIONS = [
 	".cs",
 ];
 
-async function processDirectory(db, dirPath) {
+// Only new or changed files are re-embedded. A matching mtime skips the file
+// without reading it; a changed mtime with an identical content hash only
+// refreshes the stored mtime. Switching embedding providers or changing the
+// index layout re-embeds everything (see isIndexCurrent).
+async function processDirectory(db, dirPath, indexed, seen, stats) {
 	const files = fs.readdirSync(dirPath);
 
 	for (const file of files) {
@@ -24,11 +39,29 @@ async function processDirectory(db, dirPath) {
 
 		if (stat.isDirectory()) {
 			if (!IGNORE_DIRS.includes(file)) {
-				await processDirectory(db, fullPath);
+				await processDirectory(db, fullPath, indexed, seen, stats);
 			}
 		} else if (CODE_EXTENSIONS.includes(path.extname(file))) {
-			console.log(`Processing: ${fullPath}`);
-			await addFile(db, fullPath);
+			const key = indexPath(fullPath);
+			seen.add(key);
+			const previous = indexed.get(key);
+			const current = isIndexCurrent(previous);
+			if (current && previous.mtime === stat.mtimeMs) {
+				stats.unchanged += 1;
+				continue;
+			}
+
+			const text = fs.readFileSync(fullPath, "utf8");
+			const hash = hashContent(text);
+			if (current && previous.hash === hash) {
+				await touchFile(db, fullPath, stat.mtimeMs);
+				stats.unchanged += 1;
+				continue;
+			}
+
+			console.log(`${previous ? "Updating" : "Adding"}: ${fullPath}`);
+			await addFile(db, fullPath, { text, hash, mtime: stat.mtimeMs });
+			stats[previous ? "updated" : "added"] += 1;
 		}
 	}
 }
@@ -38,8 +71,26 @@ async function main() {
 	const db = initDB();
 
 	try {
-		await processDirectory(db, path.resolve("./"));
-		console.log("Codebase context initialization complete!");
+		await ensureEmbeddingProvider();
+		const indexed = await getIndexedFiles(db);
+		const seen = new Set();
+		const stats = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+
+		await processDirectory(db, path.resolve("./"), indexed, seen, stats);
+
+		for (const filePath of indexed.keys()) {
+			if (!seen.has(filePath)) {
+				await removeFile(db, filePath);
+				stats.removed += 1;
+			}
+		}
+
+		console.log(
+			`Codebase context initialization complete! ` +
+				`(${stats.added} added, ${stats.updated} updated, ` +
+				`${stats.unchanged} unchanged, ${stats.removed} removed)`
+		);
+		await cleanup(db);
 	} catch (error) {
 		console.error("Failed to initialize codebase:", error);
 		process.exit(1);
@@ -1,15 +1,17 @@
-import { execSync } from "child_process";
 import sqlite3 from "sqlite3";
 import fs from "fs";
 import path from "path";
+import { createEmbeddingProvider } from "./embeddingProviders.js";
 
 const DB_PATH = "codebase.db";
 const IGNORE_DIRS = ['node_modules', '.git', 'dist', 'build'];
 const CODE_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cpp', '.h', '.cs'];
 
+// Provider is chosen by AI_EMBED_PROVIDER (see embeddingProviders.js)
+const provider = createEmbeddingProvider();
+
 function embed(text) {
-  const result = execSync(`echo ${JSON.stringify(text)} | ollama run nomic-embed-text`);
-  return JSON.parse(result.toString());
+  return provider.embed(text);
 }
 
 function initDB() {
@@ -18,14 +20,14 @@ function initDB() {
   return db;
 }
 
-function addFile(db, filePath) {
+async function addFile(db, filePath) {
   const text = fs.readFileSync(filePath, "utf8");
-  const emb = embed(text);
+  const emb = await embed(text);
   db.run("INSERT INTO docs (path, content, embedding) VALUES (?, ?, ?)", 
          [filePath, text, JSON.stringify(emb)]);
 }
 
-function processDirectory(db, dirPath) {
+async function processDirectory(db, dirPath) {
   const files = fs.readdirSync(dirPath);
   
   for (const file of files) {
@@ -34,19 +36,19 @@ function processDirectory(db, dirPath) {
     
     if (stat.isDirectory()) {
       if (!IGNORE_DIRS.includes(file)) {
-        processDirectory(db, fullPath);
+        await processDirectory(db, fullPath);
       }
     } else if (CODE_EXTENSIONS.includes(path.extname(file))) {
       console.log(`Processing: ${fullPath}`);
-      addFile(db, fullPath);
+      await addFile(db, fullPath);
     }
   }
 }
 
 // Main initialization function
-function initializeCodebase(repoPath) {
+async function initializeCodebase(repoPath) {
   const db = initDB();
-  processDirectory(db, repoPath);
+  await processDirectory(db, repoPath);
   console.log("Codebase initialization complete!");
 }
 
@@ -0,0 +1,35 @@
+// Language ids shared by the pre-commit payload and the codebase index
+
+function detectLanguageFromPath(filePath) {
+  const ext = (filePath.split('.').pop() || '').toLowerCase();
+  switch (ext) {
+    case 'ts':
+      return 'typescript';
+    case 'tsx':
+      return 'tsx';
+    case 'js':
+      return 'javascript';
+    case 'jsx':
+      return 'jsx';
+    case 'css':
+      return 'css';
+    case 'scss':
+      return 'scss';
+    case 'json':
+      return 'json';
+    case 'md':
+    case 'mdx':
+      return 'markdown';
+    case 'html':
+    case 'htm':
+    case 'ejs':
+      return 'html';
+    case 'yml':
+    case 'yaml':
+      return 'yaml';
+    default:
+      return ext || 'unknown';
+  }
+}
+
+module.exports = { detectLanguageFromPath };
@@ -0,0 +1,351 @@
+/*
+ Chat-completion client shared by the review (generateReview.js) and
+ askQwen (contextExtractor.js). Configured by the `model` section of
+ ai-review.config.json.
+
+ Providers (`model.provider`):
+ - ollama: Ollama's /api/chat
+ - openai: any server with the OpenAI /chat/completions endpoint
+   (llama.cpp, vLLM, LM Studio, LocalAI, ...); `model.url` includes the
+   /v1 prefix
+ - replay: answers from recorded fixtures, for tests and offline runs
+
+ Timeouts, retries and streaming are handled here for every provider.
+ A request that sees no data for `model.requestTimeoutSeconds` is aborted.
+ Network errors, timeouts, 429 and 5xx responses are retried up to
+ `model.retries` times with growing delays; other errors are thrown with
+ the HTTP status as `error.status`.
+
+ Env flags:
+ - AI_REVIEW_LLM_PROVIDER=ollama|openai|replay overrides `model.provider`
+ - AI_REVIEW_LLM_API_KEY=<key> sent as a bearer token (openai provider)
+ - AI_REVIEW_LLM_FIXTURES=<dir> overrides `model.fixtures`
+ - AI_REVIEW_LLM_RECORD=true|false save every answer to `model.fixtures`,
+   for a later replay
+
+ Every client exposes `id`, `chat({ messages, format, signal, onToken })`
+ and `complete({ system, prompt, format, signal, onToken })`; both resolve
+ to the answer's text. `format` is "json", a JSON schema, or undefined.
+*/
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+const { log } = require("../utils/logger.js");
+
+const PROVIDERS = ["ollama", "openai", "replay"];
+
+// Delay before retry n (0-based); long enough for a model server that is
+// still loading the model
+const RETRY_DELAYS_MS = [1000, 3000, 10000];
+
+function httpError(provider, status, detail) {
+	return Object.assign(
+		new Error(`${provider} API error: ${status}${detail ? ` ${detail}` : ""}`),
+		{ status }
+	);
+}
+
+function isRetryable(error) {
+	if (error.timedOut) return true;
+	if (error.status) return error.status === 429 || error.status >= 500;
+	// Connection refused, reset, DNS, ...
+	return error.name === "FetchError" || error.type === "system";
+}
+
+function sleep(ms, signal) {
+	return new Promise((resolve, reject) => {
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(new Error("Request aborted"));
+		};
+		const timer = setTimeout(() => {
+			if (signal) signal.removeEventListener("abort", onAbort);
+			resolve();
+		}, ms);
+		if (signal) signal.addEventListener("abort", onAbort, { once: true });
+	});
+}
+
+// POST `body` and hand the response to `read`. The timeout restarts
+// whenever data arrives (`touch`), so a streaming answer may take longer
+// than the timeout as long as the model keeps producing tokens.
+async function postJson(url, body, { headers, signal, timeoutMs, read }) {
+	const controller = new AbortController();
+	const onAbort = () => controller.abort();
+	if (signal) {
+		if (signal.aborted) throw new Error("Request aborted");
+		signal.addEventListener("abort", onAbort);
+	}
+	let timedOut = false;
+	let timer;
+	const touch = () => {
+		clearTimeout(timer);
+		timer = setTimeout(() => {
+			timedOut = true;
+			controller.abort();
+		}, timeoutMs);
+	};
+
+	try {
+		touch();
+		const response = await fetch(url, {
+			method: "POST",
+			signal: controller.signal,
+			headers: { "Content-Type": "application/json", ...headers },
+			body: JSON.stringify(body),
+		});
+		return await read(response, touch);
+	} catch (error) {
+		if (timedOut) {
+			throw Object.assign(
+				new Error(`No response from the model within ${timeoutMs / 1000}s`),
+				{ timedOut: true }
+			);
+		}
+		throw error;
+	} finally {
+		clearTimeout(timer);
+		if (signal) signal.removeEventListener("abort", onAbort);
+	}
+}
+
+async function checkStatus(provider, response) {
+	if (response.ok) return;
+	const detail = (await response.text().catch(() => "")).slice(0, 200);
+	throw httpError(provider, response.status, detail);
+}
+
+// Lines of a streamed body as they arrive
+async function* readLines(body, touch) {
+	const decoder = new TextDecoder();
+	let buffered = "";
+	for await (const chunk of body) {
+		touch();
+		buffered += decoder.decode(chunk, { stream: true });
+		const lines = buffered.split("\n");
+		buffered = lines.pop();
+		yield* lines;
+	}
+	buffered += decoder.decode();
+	if (buffered) yield buffered;
+}
+
+function createOllamaProvider(model) {
+	return {
+		id: `ollama:${model.name}`,
+		request({ messages, format, signal, onToken }) {
+			const stream = Boolean(model.stream);
+			return postJson(
+				`${model.url.replace(/\/+$/, "")}/api/chat`,
+				{
+					model: model.name,
+					messages,
+					stream,
+					...(format ? { format } : {}),
+					options: {
+						temperature: model.temperature,
+						// Ollama silently truncates prompts longer than its default window
+						num_ctx: model.contextTokens,
+					},
+				},
+				{
+					signal,
+					timeoutMs: model.requestTimeoutSeconds * 1000,
+					async read(response, touch) {
+						await checkStatus("Ollama", response);
+						if (!stream) {
+							const data = await response.json();
+							return data.message ? data.message.content : "";
+						}
+						// One JSON object per line, the last with `done: true`
+						let text = "";
+						for await (const line of readLines(response.body, touch)) {
+							if (!line.trim()) continue;
+							const data = JSON.parse(line);
+							if (data.error) throw new Error(`Ollama: ${data.error}`);
+							const token = data.message ? data.message.content : "";
+							text += token;
+							if (token && onToken) onToken(token);
+						}
+						return text;
+					},
+				}
+			);
+		},
+	};
+}
+
+// `format` as OpenAI's response_format; llama.cpp and vLLM honor both kinds
+function responseFormat(format) {
+	if (!format) return {};
+	if (format === "json") return { response_format: { type: "json_object" } };
+	return {
+		response_format: {
+			type: "json_schema",
+			json_schema: { name: "response", schema: format },
+		},
+	};
+}
+
+function createOpenAIProvider(model) {
+	// Kept out of the config so it never lands in a file or a cache key
+	const apiKey = process.env.AI_REVIEW_LLM_API_KEY || "";
+	return {
+		id: `openai:${model.name}`,
+		request({ messages, format, signal, onToken }) {
+			const stream = Boolean(model.stream);
+			return postJson(
+				`${model.url.replace(/\/+$/, "")}/chat/completions`,
+				{
+					model: model.name,
+					messages,
+					stream,
+					temperature: model.temperature,
+					max_tokens: model.responseTokens,
+					...responseFormat(format),
+				},
+				{
+					headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+					signal,
+					timeoutMs: model.requestTimeoutSeconds * 1000,
+					async read(response, touch) {
+						await checkStatus("OpenAI-compatible", response);
+						if (!stream) {
+							const data = await response.json();
+							const choice = data.choices && data.choices[0];
+							if (!choice || !choice.message) {
+								throw new Error(
+									"OpenAI-compatible response did not contain choices[0].message"
+								);
+							}
+							return choice.message.content || "";
+						}
+						// Server-sent events: "data: {json}" lines, then "data: [DONE]"
+						let text = "";
+						for await (const line of readLines(response.body, touch)) {
+							const m = /^data:\s*(.*)$/.exec(line.trim());
+							if (!m || m[1] === "[DONE]") continue;
+							const data = JSON.parse(m[1]);
+							const delta =
+								data.choices && data.choices[0] && data.choices[0].delta;
+							const token = (delta && delta.content) || "";
+							text += token;
+							if (token && onToken) onToken(token);
+						}
+						return text;
+					},
+				}
+			);
+		},
+	};
+}
+
+// Fixtures are keyed by the request alone (not the provider or model), so
+// answers recorded from one server replay for any configuration
+function fixtureKey({ messages, format }) {
+	return crypto
+		.createHash("sha256")
+		.update(JSON.stringify({ messages, format: format || null }))
+		.digest("hex")
+		.slice(0, 24);
+}
+
+function fixturePath(dir, request) {
+	return path.join(dir, `${fixtureKey(request)}.json`);
+}
+
+function createReplayProvider(model) {
+	return {
+		id: "replay",
+		async request(request) {
+			const file = fixturePath(model.fixtures, request);
+			if (!fs.existsSync(file)) {
+				throw new Error(
+					`No recorded answer for this request (${file}). Record one with AI_REVIEW_LLM_RECORD=true.`
+				);
+			}
+			const { response } = JSON.parse(fs.readFileSync(file, "utf8"));
+			if (request.onToken && response) request.onToken(response);
+			return response;
+		},
+	};
+}
+
+// Wraps a provider so every answer is saved as a fixture
+function recording(provider, dir) {
+	return {
+		id: provider.id,
+		async request(request) {
+			const response = await provider.request(request);
+			fs.mkdirSync(dir, { recursive: true });
+			const { messages, format } = request;
+			fs.writeFileSync(
+				fixturePath(dir, request),
+				JSON.stringify(
+					{ provider: provider.id, request: { messages, format }, response },
+					null,
+					2
+				)
+			);
+			return response;
+		},
+	};
+}
+
+function createProvider(model) {
+	switch (model.provider) {
+		case "ollama":
+			return createOllamaProvider(model);
+		case "openai":
+			return createOpenAIProvider(model);
+		case "replay":
+			return createReplayProvider(model);
+		default:
+			throw new Error(
+				`Unknown model provider "${model.provider}". Expected one of: ${PROVIDERS.join(
+					", "
+				)}`
+			);
+	}
+}
+
+// Client for the config's `model` section
+function createLlmClient(model) {
+	let provider = createProvider(model);
+	if (model.record && model.provider !== "replay") {
+		provider = recording(provider, model.fixtures);
+	}
+
+	async function chat({ messages, format, signal, onToken }) {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await provider.request({ messages, format, signal, onToken });
+			} catch (error) {
+				const aborted = signal && signal.aborted;
+				if (aborted || attempt >= model.retries || !isRetryable(error)) {
+					throw error;
+				}
+				const delay =
+					RETRY_DELAYS_MS[Math.min(attempt, RETRY_DELAYS_MS.length - 1)];
+				log.warn(
+					`${provider.id}: ${error.message}; retrying in ${delay / 1000}s (${attempt + 1}/${model.retries})`
+				);
+				await sleep(delay, signal);
+			}
+		}
+	}
+
+	function complete({ system, prompt, ...options }) {
+		const messages = [
+			...(system ? [{ role: "system", content: system }] : []),
+			{ role: "user", content: prompt },
+		];
+		return chat({ messages, ...options });
+	}
+
+	return { id: provider.id, chat, complete };
+}
+
+module.exports = { PROVIDERS, createLlmClient };
@@ -0,0 +1,203 @@
+/*
+ Resolve import specifiers to files the way TypeScript/Vite would:
+ relative paths, tsconfig `baseUrl`/`paths` aliases (following `extends` and
+ project `references`), extension probing and directory index files.
+ Bare package imports resolve to null.
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const EXTENSIONS = [
+	".ts",
+	".tsx",
+	".d.ts",
+	".js",
+	".jsx",
+	".mjs",
+	".cjs",
+	".json",
+];
+
+// tsconfig files are JSONC: strip comments and trailing commas without
+// touching string contents (paths like "@/*" look like comment openers)
+function parseJsonc(text) {
+	let out = "";
+	let inString = false;
+	for (let i = 0; i < text.length; i++) {
+		const ch = text[i];
+		const next = text[i + 1];
+		if (inString) {
+			out += ch;
+			if (ch === "\\") {
+				out += next;
+				i += 1;
+			} else if (ch === '"') {
+				inString = false;
+			}
+		} else if (ch === '"') {
+			inString = true;
+			out += ch;
+		} else if (ch === "/" && next === "/") {
+			while (i < text.length && text[i] !== "\n") i += 1;
+			out += "\n";
+		} else if (ch === "/" && next === "*") {
+			i += 2;
+			while (i < text.length && !(text[i] === "*" && text[i + 1] === "/"))
+				i += 1;
+			i += 1;
+		} else {
+			out += ch;
+		}
+	}
+	return JSON.parse(out.replace(/,(\s*[}\]])/g, "$1"));
+}
+
+function readTsconfig(filePath, seen = new Set()) {
+	const resolved = path.resolve(filePath);
+	if (seen.has(resolved) || !fs.existsSync(resolved)) return [];
+	seen.add(resolved);
+
+	let json;
+	try {
+		json = parseJsonc(fs.readFileSync(resolved, "utf8"));
+	} catch (e) {
+		return [];
+	}
+	const dir = path.dirname(resolved);
+	const configs = [];
+
+	// Only relative `extends` are followed; package presets rarely set paths
+	if (typeof json.extends === "string" && json.extends.startsWith(".")) {
+		const base = path.resolve(dir, json.extends);
+		configs.push(
+			...readTsconfig(base.endsWith(".json") ? base : `${base}.json`, seen)
+		);
+	}
+
+	const options = json.compilerOptions || {};
+	if (options.paths || options.baseUrl) {
+		configs.push({
+			// Without baseUrl, `paths` entries are relative to the tsconfig itself
+			baseUrl: path.resolve(dir, options.baseUrl || "."),
+			hasBaseUrl: !!options.baseUrl,
+			paths: options.paths || {},
+		});
+	}
+
+	for (const ref of json.references || []) {
+		const refPath = path.resolve(dir, ref.path);
+		const target =
+			fs.existsSync(refPath) && fs.statSync(refPath).isDirectory()
+				? path.join(refPath, "tsconfig.json")
+				: refPath;
+		configs.push(...readTsconfig(target, seen));
+	}
+	return configs;
+}
+
+function isFile(filePath) {
+	try {
+		return fs.statSync(filePath).isFile();
+	} catch (e) {
+		return false;
+	}
+}
+
+// Probe the candidate as-is, with each extension, and as a directory index.
+// "./foo.js" also matches "./foo.ts" for TS projects using ESM-style imports.
+function probe(candidate) {
+	if (isFile(candidate)) return candidate;
+	for (const ext of EXTENSIONS) {
+		if (isFile(candidate + ext)) return candidate + ext;
+	}
+	const jsExt = /\.(m|c)?jsx?$/.exec(candidate);
+	if (jsExt) {
+		const stem = candidate.slice(0, -jsExt[0].length);
+		for (const ext of [".ts", ".tsx", ".mts", ".cts"]) {
+			if (isFile(stem + ext)) return stem + ext;
+		}
+	}
+	for (const ext of EXTENSIONS) {
+		const index = path.join(candidate, `index${ext}`);
+		if (isFile(index)) return index;
+	}
+	return null;
+}
+
+// Match a specifier against a tsconfig `paths` pattern with at most one "*"
+function matchPattern(pattern, specifier) {
+	const star = pattern.indexOf("*");
+	if (star === -1) return pattern === specifier ? "" : null;
+	const prefix = pattern.slice(0, star);
+	const suffix = pattern.slice(star + 1);
+	if (
+		specifier.length >= prefix.length + suffix.length &&
+		specifier.startsWith(prefix) &&
+		specifier.endsWith(suffix)
+	) {
+		return specifier.slice(prefix.length, specifier.length - suffix.length);
+	}
+	return null;
+}
+
+function createResolver(rootDir = process.cwd()) {
+	const configs = readTsconfig(path.join(rootDir, "tsconfig.json"));
+	const cache = new Map();
+
+	function resolveAlias(specifier) {
+		for (const { baseUrl, paths } of configs) {
+			// Exact patterns first, then the longest matching prefix, as in TypeScript
+			const prefixLength = (pattern) =>
+				pattern.includes("*") ? pattern.indexOf("*") : Number.MAX_SAFE_INTEGER;
+			const matches = Object.keys(paths)
+				.map((pattern) => ({
+					pattern,
+					wildcard: matchPattern(pattern, specifier),
+				}))
+				.filter((m) => m.wildcard !== null)
+				.sort((a, b) => prefixLength(b.pattern) - prefixLength(a.pattern));
+			for (const { pattern, wildcard } of matches) {
+				for (const target of paths[pattern]) {
+					const found = probe(
+						path.resolve(baseUrl, target.replace("*", wildcard))
+					);
+					if (found) return found;
+				}
+			}
+		}
+		for (const { baseUrl, hasBaseUrl } of configs) {
+			if (!hasBaseUrl) continue;
+			const found = probe(path.resolve(baseUrl, specifier));
+			if (found) return found;
+		}
+		return null;
+	}
+
+	// Absolute path of the file `specifier` refers to from `fromFile`, or null
+	function resolve(specifier, fromFile) {
+		const fromDir = path.dirname(path.resolve(fromFile));
+		const key = `${fromDir}\0${specifier}`;
+		if (cache.has(key)) return cache.get(key);
+
+		let resolved = null;
+		if (specifier.startsWith(".") || path.isAbsolute(specifier)) {
+			resolved = probe(path.resolve(fromDir, specifier));
+		} else {
+			resolved = resolveAlias(specifier);
+		}
+		cache.set(key, resolved);
+		return resolved;
+	}
+
+	// Unresolved lookups are cached too; forget them when files may have
+	// been added since
+	resolve.forgetMisses = () => {
+		for (const [key, resolved] of cache) {
+			if (resolved === null) cache.delete(key);
+		}
+	};
+	return resolve;
+}
+
+module.exports = { createResolver, parseJsonc };
@@ -0,0 +1,248 @@
+/*
+ Repair model-authored unified diffs before they are applied.
+
+ Models get `@@` line numbers and counts wrong, drop context lines or
+ reindent them. Each hunk is located in the target file by matching its
+ context and removed lines (exactly, then ignoring indentation, then
+ ignoring all whitespace, then with less surrounding context), and the
+ patch is regenerated with correct headers and the file's real lines.
+ Hunks that cannot be placed are reported with a reason instead.
+*/
+
+const { parsePatchHunks } = require('./diffUtils.js');
+
+// Lines of context around each regenerated hunk, as `git diff` writes them.
+// git apply anchors a hunk without leading or trailing context to the start
+// or end of the file, so context is not optional.
+const CONTEXT_LINES = 3;
+
+// Ever looser line comparisons, tried in order
+const MATCHERS = [
+  (a, b) => a === b,
+  (a, b) => a.trim() === b.trim(),
+  (a, b) => a.replace(/\s+/g, '') === b.replace(/\s+/g, ''),
+];
+
+// Split a patch into per-file sections at each `---`/`+++` header pair
+function splitFileSections(patchText) {
+  const lines = String(patchText || '').replace(/\r\n/g, '\n').split('\n');
+  const sections = [];
+  let current = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+      current = { oldPath: headerPath(line), newPath: headerPath(lines[i + 1]), body: [] };
+      sections.push(current);
+      i += 1;
+    } else if (current && !line.startsWith('diff --git ') && !/^(index|similarity|rename|new file|deleted file) /.test(line)) {
+      current.body.push(line);
+    }
+  }
+  return sections;
+}
+
+// "--- a/src/App.tsx\t(date)" -> "src/App.tsx"; /dev/null stays as is
+function headerPath(line) {
+  const raw = line.slice(4).split('\t')[0].trim();
+  if (raw === '/dev/null') return raw;
+  return raw.replace(/^[ab]\//, '');
+}
+
+function toLines(content) {
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Every index where `needle` occurs in `haystack` under `eq`
+function findAll(haystack, needle, eq) {
+  const positions = [];
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    let match = true;
+    for (let j = 0; j < needle.length && match; j++) {
+      match = eq(haystack[i + j], needle[j]);
+    }
+    if (match) positions.push(i);
+  }
+  return positions;
+}
+
+// Variants of a hunk with leading/trailing context trimmed, fewest lines
+// dropped first. Removed and added lines are never dropped.
+function contextVariants(lines) {
+  const firstChange = lines.findIndex((l) => l.type !== ' ');
+  let lastChange = lines.length - 1;
+  while (lastChange >= 0 && lines[lastChange].type === ' ') lastChange -= 1;
+  const leading = firstChange;
+  const trailing = lines.length - 1 - lastChange;
+
+  const variants = [];
+  for (let dropped = 0; dropped <= leading + trailing; dropped++) {
+    for (let lead = Math.min(dropped, leading); lead >= 0 && dropped - lead <= trailing; lead--) {
+      variants.push(lines.slice(lead, lines.length - (dropped - lead)));
+    }
+  }
+  return variants;
+}
+
+// Place one hunk: { start, lines } with `start` the 0-based index of its
+// first old line in the file, or { error }
+function locateHunk(fileLines, hunk) {
+  const hint = Math.max(0, hunk.oldStart - 1);
+  if (!hunk.lines.some((l) => l.type !== ' ')) return { error: 'hunk changes nothing' };
+
+  // Pure insertion without context: the header is all there is to go on
+  if (!hunk.lines.some((l) => l.type !== '+')) {
+    const start = hunk.oldCount === 0 ? hunk.oldStart : hint;
+    if (start > fileLines.length) return { error: `insertion point ${hunk.oldStart} is past the end of the file` };
+    return { start, lines: hunk.lines };
+  }
+
+  for (const variant of contextVariants(hunk.lines)) {
+    const oldLines = variant.filter((l) => l.type !== '+').map((l) => l.content);
+    if (!oldLines.length) continue;
+    for (const eq of MATCHERS) {
+      const positions = findAll(fileLines, oldLines, eq);
+      if (!positions.length) continue;
+
+      // Closest to where the header says; a tie means we cannot tell
+      positions.sort((a, b) => Math.abs(a - hint) - Math.abs(b - hint));
+      if (positions.length > 1 && Math.abs(positions[0] - hint) === Math.abs(positions[1] - hint)) {
+        return { error: `matches ${positions.length} places equally well (lines ${positions.map((p) => p + 1).join(', ')})` };
+      }
+
+      // Use the file's real text for context and removed lines
+      let fileIndex = positions[0];
+      const lines = variant.map((l) => {
+        if (l.type === '+') return l;
+        const real = { type: l.type, content: fileLines[fileIndex] };
+        fileIndex += 1;
+        return real;
+      });
+      return { start: positions[0], lines };
+    }
+  }
+  return { error: 'context and removed lines not found in the file' };
+}
+
+function oldLength(lines) {
+  return lines.filter((l) => l.type !== '+').length;
+}
+
+function contextLines(fileLines, from, to) {
+  return fileLines.slice(from, to).map((content) => ({ type: ' ', content }));
+}
+
+// The changed core of a placed hunk, without its edge context
+function stripContext({ start, lines }) {
+  const first = lines.findIndex((l) => l.type !== ' ');
+  let last = lines.length - 1;
+  while (lines[last].type === ' ') last -= 1;
+  return { start: start + first, lines: lines.slice(first, last + 1) };
+}
+
+// Surround placed hunks (sorted, not overlapping) with CONTEXT_LINES of
+// real file context, merging hunks whose context would touch
+function addContext(fileLines, placed) {
+  const merged = [];
+  for (const hunk of placed.map(stripContext)) {
+    const end = hunk.start + oldLength(hunk.lines);
+    const prev = merged[merged.length - 1];
+    if (prev && hunk.start - prev.end <= 2 * CONTEXT_LINES) {
+      prev.lines.push(...contextLines(fileLines, prev.end, hunk.start), ...hunk.lines);
+      prev.end = end;
+    } else {
+      merged.push({ start: hunk.start, end, lines: [...hunk.lines] });
+    }
+  }
+  return merged.map(({ start, end, lines }) => {
+    const from = Math.max(0, start - CONTEXT_LINES);
+    const to = Math.min(fileLines.length, end + CONTEXT_LINES);
+    return {
+      start: from,
+      lines: [...contextLines(fileLines, from, start), ...lines, ...contextLines(fileLines, end, to)],
+    };
+  });
+}
+
+function formatHunk(start, lines, offset) {
+  const oldCount = oldLength(lines);
+  const newCount = lines.filter((l) => l.type !== '-').length;
+  // Git numbers an empty side by the line before it
+  const oldStart = oldCount ? start + 1 : start;
+  const newStart = newCount ? start + 1 + offset : start + offset;
+  return [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...lines.map((l) => `${l.type}${l.content}`)].join('\n');
+}
+
+function normalizeSection(section, readFile) {
+  const path = section.newPath !== '/dev/null' ? section.newPath : section.oldPath;
+  const header = `diff --git a/${path} b/${path}\n--- ${section.oldPath === '/dev/null' ? '/dev/null' : `a/${section.oldPath}`}\n+++ ${
+    section.newPath === '/dev/null' ? '/dev/null' : `b/${section.newPath}`
+  }`;
+  const body = section.body.join('\n');
+
+  // New and deleted files have nothing to locate against
+  if (section.oldPath === '/dev/null' || section.newPath === '/dev/null') {
+    return { path, patch: `${header}\n${body.trim()}\n`, changed: false };
+  }
+
+  const content = readFile(section.oldPath);
+  if (content == null) return { path, error: 'file not found' };
+  const fileLines = toLines(content);
+
+  const hunks = parsePatchHunks(`${header}\n${body}`);
+  if (!hunks.length) return { path, error: 'no hunks' };
+
+  const placed = [];
+  for (const [i, hunk] of hunks.entries()) {
+    const result = locateHunk(fileLines, hunk);
+    if (result.error) return { path, error: `hunk ${i + 1}: ${result.error}` };
+    placed.push(result);
+  }
+
+  placed.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < placed.length; i++) {
+    const prev = placed[i - 1];
+    if (placed[i].start < prev.start + oldLength(prev.lines)) {
+      return { path, error: `hunks ${i} and ${i + 1} overlap` };
+    }
+  }
+
+  let offset = 0;
+  const formatted = addContext(fileLines, placed).map(({ start, lines }) => {
+    const text = formatHunk(start, lines, offset);
+    offset += lines.filter((l) => l.type === '+').length - lines.filter((l) => l.type === '-').length;
+    return text;
+  });
+  const patch = `${header}\n${formatted.join('\n')}\n`;
+  return { path, patch, changed: patch.trim() !== `${header}\n${body}`.trim() };
+}
+
+// readFile(path) -> content, or null when the file does not exist.
+// Returns { ok, patch, changed, files: [{ path, changed, error? }], reason? }
+function normalizePatch(patchText, readFile) {
+  const sections = splitFileSections(patchText);
+  if (!sections.length) {
+    return { ok: false, patch: patchText, changed: false, files: [], reason: 'no ---/+++ file headers' };
+  }
+
+  const files = sections.map((s) => normalizeSection(s, readFile));
+  const failed = files.filter((f) => f.error);
+  if (failed.length) {
+    return {
+      ok: false,
+      patch: patchText,
+      changed: false,
+      files: files.map(({ path, changed, error }) => ({ path, changed: !!changed, ...(error ? { error } : {}) })),
+      reason: failed.map((f) => `${f.path}: ${f.error}`).join('; '),
+    };
+  }
+  return {
+    ok: true,
+    patch: files.map((f) => f.patch).join(''),
+    changed: files.some((f) => f.changed),
+    files: files.map(({ path, changed }) => ({ path, changed })),
+  };
+}
+
+module.exports = { normalizePatch };
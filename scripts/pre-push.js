@@ -1,10 +1,45 @@
 #!/usr/bin/env node
+/*
+ Pre-push checks, then an AI review of every file changed in the pushed
+ commits. Findings are attributed to the pushed commit that introduced
+ their line.
+
+ Every ref git passes on stdin is reviewed on its own: remote..local for
+ an existing remote branch, merge-base with the default branch..local for
+ a new one. Run by hand (no stdin), it reviews the merge-base with the
+ default branch..HEAD. With several refs, the output files get the branch
+ name as a suffix.
+
+ The type-check, test and build scripts run when package.json defines
+ them. A failing check still lets the review run; the push is blocked
+ afterwards.
+
+ Env flags:
+ - AI_REVIEW_ENABLED=true|false (default: true)
+ - AI_REVIEW_OUTPUT_FILE=.webpack-cache/ai-review/last-prepush.json
+ - AI_REVIEW_PREPUSH_REVIEW_FILE=.webpack-cache/ai-review/push-with-review.json
+ - AI_REVIEW_GATE* flags as in reviewGate.js, applied to the push
+ - AI_REVIEW_SECRETS_BLOCK as in collectStaged.js, applied to the push
+*/
 
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { detectLanguageFromPath } = require('./languages.js');
+const { parseHunksAddedLines, extractTodoFixme } = require('./diffUtils.js');
+const { gateOptionsFromEnv, runGate } = require('./reviewGate.js');
+const { loadReviewConfig } = require('./reviewConfig.js');
+const { scanAdditions, maskText, maskFileEntries, formatSecretFinding } = require('./secretScanner.js');
 
+const ZERO_SHA = /^0+$/;
 const OUTPUT_FILE = process.env.AI_REVIEW_OUTPUT_FILE || path.join('.webpack-cache', 'ai-review', 'last-prepush.json');
+const REVIEW_FILE = process.env.AI_REVIEW_PREPUSH_REVIEW_FILE || path.join('.webpack-cache', 'ai-review', 'push-with-review.json');
+
+function getEnvFlag(name, def) {
+  const val = process.env[name];
+  if (val == null) return def;
+  return String(val).toLowerCase() === 'true' || String(val) === '1';
+}
 
 function run(cmd) {
   return execSync(cmd, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
@@ -39,85 +74,332 @@ function collectGitInfo() {
   return { root, branch, head, upstream, userName, userEmail };
 }
 
-function collectCommitsToPush() {
-  const range = '@{u}..HEAD';
-  const format = '--pretty=format:{%n  "hash": "%H",%n  "subject": "%s",%n  "body": "%b",%n  "author": "%aN",%n  "email": "%aE",%n  "date": "%aI"%n}';
-  
+// The remote's default branch, else a local main/master
+function defaultBranch() {
+  const remoteHead = safeRun('git symbolic-ref --quiet refs/remotes/origin/HEAD');
+  if (remoteHead) return remoteHead.replace(/^refs\/remotes\//, '');
+  return ['origin/main', 'origin/master', 'main', 'master'].find((ref) => safeRun(`git rev-parse --verify --quiet ${ref}`)) || null;
+}
+
+// "<local ref> <local sha> <remote ref> <remote sha>" lines from git's
+// pre-push stdin; deletions push nothing and are skipped
+function readPushedRefs() {
+  if (process.stdin.isTTY) return [];
+  let input = '';
+  try {
+    input = fs.readFileSync(0, 'utf8');
+  } catch (e) {
+    return [];
+  }
+  return input
+    .split('\n')
+    .map((line) => line.trim().split(/\s+/))
+    .filter((parts) => parts.length === 4 && !ZERO_SHA.test(parts[1]))
+    .map(([localRef, localSha, remoteRef, remoteSha]) => ({ localRef, localSha, remoteRef, remoteSha }));
+}
+
+// { branch, base, head, range } of one pushed ref, or of HEAD without one;
+// null when no base can be found
+function resolveRange(ref) {
+  const head = ref ? ref.localSha : safeRun('git rev-parse HEAD');
+  const branch = ref ? ref.localRef.replace(/^refs\/heads\//, '') : safeRun('git rev-parse --abbrev-ref HEAD') || 'HEAD';
+  let base = ref && !ZERO_SHA.test(ref.remoteSha) ? ref.remoteSha : null;
+  // The remote sha may be unknown locally (not fetched); fall back below
+  if (base && !safeRun(`git cat-file -e ${base}^{commit} && echo ok`)) base = null;
+  if (!base) {
+    const defaultRef = defaultBranch();
+    base = defaultRef ? safeRun(`git merge-base ${defaultRef} ${head}`) : '';
+  }
+  if (!base) return null;
+  return { branch, base, head, range: `${base}..${head}` };
+}
+
+// One range per pushed ref (HEAD when run by hand). Refs that push the same
+// commits are reviewed once; refs without a base come back as null.
+function resolvePushRanges() {
+  const refs = readPushedRefs();
+  const ranges = (refs.length ? refs : [null]).map(resolveRange);
+  const seen = new Set();
+  return ranges.filter((r) => {
+    if (!r) return true;
+    if (seen.has(r.range)) return false;
+    seen.add(r.range);
+    return true;
+  });
+}
+
+// Scripts package.json defines; checks for the others are skipped
+function definedScripts() {
+  try {
+    const pkg = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+    return new Set(Object.keys(pkg.scripts || {}));
+  } catch (e) {
+    return new Set();
+  }
+}
+
+// `file` as is for a single pushed ref, else with the branch as a suffix
+function outputPath(file, pushed, count) {
+  if (count === 1) return file;
+  const ext = path.extname(file);
+  const suffix = pushed.branch.replace(/[^A-Za-z0-9._-]/g, '_');
+  return `${file.slice(0, file.length - ext.length)}-${suffix}${ext}`;
+}
+
+function collectCommitsToPush(range) {
+  // Unit/record separators keep subjects and bodies with quotes or newlines intact
+  const format = '--pretty=format:%H%x1f%s%x1f%b%x1f%aN%x1f%aE%x1f%aI%x1e';
+
   try {
     const output = safeRun(`git log ${range} ${format}`);
     if (!output) return [];
-    
+
     return output
-      .split('\n}\n{')
-      .map(str => str.replace(/^\{|\}$/g, ''))
-      .map(str => JSON.parse(`{${str}}`));
+      .split('\x1e')
+      .map(str => str.replace(/^\n/, ''))
+      .filter(Boolean)
+      .map(str => {
+        const [hash, subject, body, author, email, date] = str.split('\x1f');
+        return { hash, subject, body: (body || '').trim(), author, email, date };
+      });
   } catch (e) {
     return [];
   }
 }
 
-function collectChangedFiles() {
-  const range = '@{u}..HEAD';
+function collectChangedFiles(range) {
   const output = safeRun(`git diff ${range} --name-status`);
   const lines = output ? output.split('\n') : [];
-  
+
   return lines.map(line => {
-    const [status, path] = line.split('\t');
-    return { status, path };
+    const parts = line.split('\t');
+    // Renames/copies: "R100\told\tnew"
+    if (/^[RC]/.test(parts[0])) {
+      return { status: parts[0][0], path: parts[2], previousPath: parts[1] };
+    }
+    return { status: parts[0], path: parts[1] };
   }).filter(x => x.path);
 }
 
-async function main() {
+function collectNumstat(range) {
+  const output = safeRun(`git diff ${range} --numstat`);
+  const byPath = new Map();
+  let totalAdd = 0;
+  let totalDel = 0;
+  for (const line of output ? output.split('\n') : []) {
+    const [addStr, delStr, filePath] = line.split('\t');
+    if (!filePath) continue;
+    const added = addStr === '-' ? 0 : parseInt(addStr, 10) || 0;
+    const deleted = delStr === '-' ? 0 : parseInt(delStr, 10) || 0;
+    totalAdd += added;
+    totalDel += deleted;
+    byPath.set(filePath, { added, deleted });
+  }
+  return { byPath, totals: { added: totalAdd, deleted: totalDel } };
+}
+
+function collectPerFileDiff(range, filePath, options = { ignoreWhitespace: false }) {
+  const flags = options.ignoreWhitespace ? ' -w --ignore-blank-lines' : '';
+  return safeRun(`git diff ${range} --unified=0 --no-color${flags} -- ${JSON.stringify(filePath)}`);
+}
+
+function collectFileCommits(range, filePath) {
+  const output = safeRun(`git log ${range} --format=%H -- ${JSON.stringify(filePath)}`);
+  return output ? output.split('\n') : [];
+}
+
+// Same per-file schema as collectStaged.js, plus the commits touching each file
+function buildPerFile(range, changedFiles, numstat) {
+  return changedFiles.map((file) => {
+    const stat = numstat.byPath.get(file.path) || { added: 0, deleted: 0 };
+    const diffUnified = collectPerFileDiff(range, file.path, { ignoreWhitespace: false });
+    return {
+      path: file.path,
+      status: file.status,
+      previousPath: file.previousPath || null,
+      language: detectLanguageFromPath(file.path),
+      added: stat.added,
+      deleted: stat.deleted,
+      diffUnified,
+      diffUnifiedNoWhitespace: collectPerFileDiff(range, file.path, { ignoreWhitespace: true }),
+      hunks: parseHunksAddedLines(diffUnified),
+      commits: collectFileCommits(range, file.path),
+    };
+  });
+}
+
+// The commit that last touched a line of the pushed commit, via git blame
+function blameLine(head, filePath, line) {
+  const output = safeRun(`git blame --porcelain -L ${line},${line} ${head} -- ${JSON.stringify(filePath)}`);
+  const m = /^([0-9a-f]{40})\s/.exec(output);
+  return m ? m[1] : null;
+}
+
+// Tag each finding with the pushed commit that introduced its line. Findings
+// on lines that predate the push (or without a line) get `commit: null`.
+function attributeFindings(reviewed, commits, head) {
+  const byHash = new Map(commits.map((c) => [c.hash, c]));
+  for (const entry of reviewed.reviews || []) {
+    const annotations = (entry.review && entry.review.annotations) || [];
+    for (const a of annotations) {
+      const hash = typeof a.line === 'number' && a.line > 0 ? blameLine(head, a.file || entry.filePath, a.line) : null;
+      const commit = hash && byHash.get(hash);
+      a.commit = commit ? { hash: commit.hash, subject: commit.subject, author: commit.author } : null;
+    }
+  }
+  return reviewed;
+}
+
+async function reviewPush(payload) {
+  // Required lazily: loading the index pulls in sqlite and Babel
+  const { initDB, cleanup } = require('./contextExtractor.js');
+  const { reviewPayload } = require('./generateReview.js');
+  const db = initDB();
   try {
-    // Run checks first
-    console.log('Running type checking...');
-    execSync('npm run type-check', { stdio: 'inherit' });
+    return attributeFindings(await reviewPayload(db, payload), payload.push.commits, payload.repo.head);
+  } finally {
+    await cleanup(db);
+  }
+}
 
-    console.log('Running tests...');
-    execSync('npm run test', { stdio: 'inherit' });
+function printAttributedFindings(reviewed) {
+  for (const entry of reviewed.reviews || []) {
+    for (const a of (entry.review && entry.review.annotations) || []) {
+      const where = a.commit ? `${a.commit.hash.slice(0, 8)} ${a.commit.subject}` : 'pre-existing';
+      console.log(`  ${a.file || entry.filePath}:${a.line} [${a.severity}] [${a.category}] ${a.message} (${where})`);
+    }
+  }
+}
 
-    console.log('Running build...');
-    execSync('npm run build', { stdio: 'inherit' });
+// Collect, review and gate the commits of one pushed ref. Returns the exit
+// code for that ref.
+async function reviewRef(pushed, git, count) {
+  const { range } = pushed;
+  const commitsToPush = collectCommitsToPush(range);
+  const changedFiles = collectChangedFiles(range);
 
-    // Collect push information
-    const git = collectGitInfo();
-    const commitsToPush = collectCommitsToPush();
-    const changedFiles = collectChangedFiles();
+  if (commitsToPush.length === 0) {
+    console.log(`No commits to push on ${pushed.branch}`);
+    return 0;
+  }
 
-    if (commitsToPush.length === 0) {
-      console.log('No commits to push');
-      process.exit(0);
+  const numstat = collectNumstat(range);
+  const perFile = buildPerFile(range, changedFiles, numstat);
+  const secretsConfig = loadReviewConfig().secrets;
+  const secrets = scanAdditions(perFile, secretsConfig);
+  // A blocked push stops before anything is written or reviewed
+  if (secrets.findings.length) {
+    console.error(`[ai-review][secrets] ${secrets.findings.length} suspected secret(s) in pushed commits on ${pushed.branch}:`);
+    for (const f of secrets.findings) console.error(formatSecretFinding(f));
+    if (secretsConfig.block) {
+      console.error('[ai-review][secrets] Blocking the push. Rewrite the commits without them, or re-run with AI_REVIEW_SECRETS_BLOCK=false.');
+      return 1;
     }
+  }
 
-    // Generate report
-    const payload = {
-      version: 1,
-      generatedAt: new Date().toISOString(),
-      repo: {
-        root: git.root,
-        branch: git.branch,
-        head: git.head,
-        upstream: git.upstream
-      },
-      author: {
-        name: git.userName,
-        email: git.userEmail
-      },
-      push: {
-        numCommits: commitsToPush.length,
-        commits: commitsToPush,
-        files: changedFiles
-      },
-      meta: {
-        cwd: process.cwd(),
-        node: process.version
+  maskFileEntries(perFile, secrets.values);
+
+  // Generate report
+  const payload = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    repo: {
+      root: git.root,
+      branch: pushed.branch,
+      head: pushed.head,
+      base: pushed.base,
+      upstream: git.upstream
+    },
+    author: {
+      name: git.userName,
+      email: git.userEmail
+    },
+    push: {
+      numCommits: commitsToPush.length,
+      commits: commitsToPush,
+      files: changedFiles
+    },
+    staged: {
+      numFiles: changedFiles.length,
+      totals: numstat.totals,
+      files: perFile.map(({ path, status, previousPath, added, deleted }) => ({ path, status, previousPath, added, deleted }))
+    },
+    diff: {
+      unified: maskText(safeRun(`git diff ${range} --unified=0 --no-color`), secrets.values),
+      byFile: perFile
+    },
+    notes: {
+      todoFixme: extractTodoFixme(perFile),
+      secrets: secrets.findings
+    },
+    meta: {
+      cwd: process.cwd(),
+      node: process.version
+    }
+  };
+
+  const outputFile = outputPath(OUTPUT_FILE, pushed, count);
+  writeJson(outputFile, payload);
+  console.log(`Push analysis written to ${outputFile}`);
+
+  if (!getEnvFlag('AI_REVIEW_ENABLED', true)) return 0;
+
+  console.log(`Reviewing ${perFile.length} file(s) across ${commitsToPush.length} commit(s) on ${pushed.branch}...`);
+  const reviewed = await reviewPush(payload);
+  const reviewFile = outputPath(REVIEW_FILE, pushed, count);
+  writeJson(reviewFile, reviewed);
+  console.log(`Push review written to ${reviewFile}`);
+  printAttributedFindings(reviewed);
+
+  const gateOptions = gateOptionsFromEnv();
+  return gateOptions.enabled ? runGate(reviewed, gateOptions, 'push') : 0;
+}
+
+async function main() {
+  try {
+    // Git's ref lines arrive on stdin, which the checks below would consume
+    const ranges = resolvePushRanges();
+
+    // Run checks first. A failure blocks the push, but only after the
+    // review, so failing checks do not hide its findings.
+    const scripts = definedScripts();
+    const failedChecks = [];
+    for (const [label, script] of [
+      ['type checking', 'type-check'],
+      ['tests', 'test'],
+      ['build', 'build'],
+    ]) {
+      if (!scripts.has(script)) {
+        console.log(`Skipping ${label}: no "${script}" script in package.json`);
+        continue;
       }
-    };
+      const cmd = `npm run ${script}`;
+      console.log(`Running ${label}...`);
+      try {
+        execSync(cmd, { stdio: 'inherit' });
+      } catch (e) {
+        console.error(`[pre-push] ${cmd} failed`);
+        failedChecks.push(cmd);
+      }
+    }
 
-    writeJson(OUTPUT_FILE, payload);
-    console.log(`Push analysis written to ${OUTPUT_FILE}`);
-    console.log('Pre-push checks passed');
-    process.exit(0);
+    // Collect push information
+    const git = collectGitInfo();
+    let exitCode = 0;
+    for (const pushed of ranges) {
+      if (!pushed) {
+        console.error('[pre-push] Could not determine the pushed commits (no upstream and no default branch); skipping the review.');
+        continue;
+      }
+      if ((await reviewRef(pushed, git, ranges.length)) !== 0) exitCode = 1;
+    }
+
+    if (failedChecks.length) {
+      console.error(`[pre-push] Blocking the push: ${failedChecks.join(', ')} failed.`);
+      exitCode = 1;
+    }
+    if (exitCode === 0) console.log('Pre-push checks passed');
+    process.exit(exitCode);
   } catch (e) {
     console.error('[pre-push] Error:', e.message || e);
     process.exit(1);
@@ -0,0 +1,195 @@
+/*
+ Redaction of everything that leaves the machine: the review prompts sent
+ to the model (generateReview.js) and the payload collectStaged.js posts to
+ the review server.
+
+ Configured under `redaction` in ai-review.config.json:
+ - `secrets`: values the `secrets` rules match -> [REDACTED SECRET]
+ - `emails`: email addresses -> [REDACTED EMAIL], except those matching
+   an `allowEmails` regex
+ - `absolutePaths`: the repo root -> <repo>, the home directory -> ~
+ - `denyPaths`: globs for files whose content is never sent; their diffs
+   and codebase context are dropped whole
+
+ Each redactor counts what it masked, never the values themselves. The
+ counts are written to a manifest, one section per stage ("prompt" for the
+ review, "post" for the collector), so it is visible what was held back.
+
+ Env flags:
+ - AI_REVIEW_REDACT=true|false overrides `redaction.enabled`
+ - AI_REVIEW_REDACTION_MANIFEST=.webpack-cache/ai-review/redaction-manifest.json
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGlobMatcher } = require('./globMatch.js');
+const { createLineScanner } = require('./secretScanner.js');
+
+const MANIFEST_FILE =
+  process.env.AI_REVIEW_REDACTION_MANIFEST || path.join('.webpack-cache', 'ai-review', 'redaction-manifest.json');
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Absolute path prefixes to hide, longest first so the repo root wins over
+// a home directory that contains it
+function pathReplacements(root) {
+  const home = os.homedir();
+  return [
+    { prefix: path.resolve(root), replacement: '<repo>', detail: 'repo root' },
+    { prefix: home, replacement: '~', detail: 'home directory' },
+  ]
+    .filter((p) => p.prefix && p.prefix !== path.sep)
+    .sort((a, b) => b.prefix.length - a.prefix.length)
+    .map((p) => ({ ...p, pattern: new RegExp(`${escapeRegExp(p.prefix)}(?![\\w.-])`, 'g') }));
+}
+
+// Redactor for one run. `config` is the full review config (the secret
+// rules live under `secrets`). With redaction disabled every method passes
+// its input through and nothing is recorded.
+function createRedactor(config, { root = process.cwd() } = {}) {
+  const options = config.redaction;
+  const enabled = Boolean(options && options.enabled);
+  const scanSecrets = enabled && options.secrets ? createLineScanner(config.secrets) : null;
+  const allowEmails = enabled ? options.allowEmails.map((p) => new RegExp(p, 'i')) : [];
+  const isDeniedPath = enabled && options.denyPaths.length ? createGlobMatcher(options.denyPaths) : () => false;
+  const paths = enabled && options.absolutePaths ? pathReplacements(root) : [];
+  const counts = new Map();
+
+  const record = (target, section, kind, detail, n = 1) => {
+    const key = JSON.stringify([target, section, kind, detail]);
+    counts.set(key, (counts.get(key) || 0) + n);
+  };
+
+  // Mask `text`; `target` and `section` only label the manifest entries
+  function text(value, target, section) {
+    if (!enabled || typeof value !== 'string' || !value) return value;
+    let out = value;
+    if (scanSecrets) {
+      const found = new Map();
+      for (const line of out.split('\n')) {
+        for (const hit of scanSecrets(line)) found.set(hit.value, hit.ruleId);
+      }
+      // Longest first, so a value that contains another is masked whole
+      for (const [secret, ruleId] of [...found].sort((a, b) => b[0].length - a[0].length)) {
+        const parts = out.split(secret);
+        if (parts.length < 2) continue;
+        record(target, section, 'secret', ruleId, parts.length - 1);
+        out = parts.join('[REDACTED SECRET]');
+      }
+    }
+    if (options.emails) {
+      out = out.replace(EMAIL, (email) => {
+        if (allowEmails.some((re) => re.test(email))) return email;
+        record(target, section, 'email', 'email');
+        return '[REDACTED EMAIL]';
+      });
+    }
+    for (const p of paths) {
+      out = out.replace(p.pattern, () => {
+        record(target, section, 'absolute-path', p.detail);
+        return p.replacement;
+      });
+    }
+    return out;
+  }
+
+  // Mask every string in a JSON value; returns a copy. Object keys are left
+  // alone. `target` is the label for the manifest, extended with the key path.
+  function json(value, target, section) {
+    if (typeof value === 'string') return text(value, target, section);
+    if (Array.isArray(value)) return value.map((v, i) => json(v, `${target}[${i}]`, section));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, json(v, target ? `${target}.${k}` : k, section)]));
+    }
+    return value;
+  }
+
+  // Whether `filePath`'s content must not be sent; a true answer is recorded.
+  // Globs are matched against the path relative to the repo root; indexed
+  // files outside the repo keep an absolute path.
+  function isDenied(filePath, target, section) {
+    if (!enabled || !filePath) return false;
+    const relative = path.isAbsolute(filePath) ? path.relative(root, filePath) : filePath;
+    if (!isDeniedPath(relative)) return false;
+    record(target, section, 'denied-file', relative);
+    return true;
+  }
+
+  // Manifest entries: [{ target, section, kind, detail, count }]
+  function entries() {
+    return [...counts].map(([key, count]) => {
+      const [target, section, kind, detail] = JSON.parse(key);
+      return { target, section, kind, detail, count };
+    });
+  }
+
+  return { enabled, text, json, isDenied, entries };
+}
+
+// A unified diff with the sections of denied files replaced by a note
+function redactUnifiedDiff(diffText, redactor, target) {
+  if (!diffText) return diffText;
+  return diffText
+    .split(/^(?=diff --git )/m)
+    .map((section) => {
+      const m = /^diff --git a\/.* b\/(.*)$/m.exec(section);
+      if (!m || !redactor.isDenied(m[1], target, 'payload')) return section;
+      return `diff --git a/${m[1]} b/${m[1]}\n[REDACTED: content of ${m[1]} is not sent]\n`;
+    })
+    .join('');
+}
+
+// Copy of a collector payload fit to leave the machine: files matching
+// denyPaths lose their diffs, and every string is masked
+function redactPayload(payload, redactor) {
+  if (!redactor.enabled) return payload;
+  const byFile = (payload.diff.byFile || []).map((file, i) => {
+    if (!redactor.isDenied(file.path, `diff.byFile[${i}]`, 'payload')) return file;
+    const note = `[REDACTED: content of ${file.path} is not sent]`;
+    return { ...file, diffUnified: note, diffUnifiedNoWhitespace: note, hunks: [] };
+  });
+  const notes = payload.notes || {};
+  const stripped = {
+    ...payload,
+    diff: { ...payload.diff, unified: redactUnifiedDiff(payload.diff.unified, redactor, 'diff.unified'), byFile },
+    notes: {
+      ...notes,
+      ...(Array.isArray(notes.todoFixme)
+        ? { todoFixme: notes.todoFixme.filter((t) => !redactor.isDenied(t.file, 'notes.todoFixme', 'payload')) }
+        : {}),
+    },
+  };
+  return redactor.json(stripped, '', 'payload');
+}
+
+// Replace the manifest's section for `stage` with this redactor's counts
+function writeManifest(stage, redactor, file = MANIFEST_FILE) {
+  let manifest = { version: 1, stages: {} };
+  if (fs.existsSync(file)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      // A damaged manifest is simply rewritten
+    }
+  }
+  const entries = redactor.entries();
+  manifest.stages = {
+    ...(manifest.stages || {}),
+    [stage]: {
+      writtenAt: new Date().toISOString(),
+      enabled: redactor.enabled,
+      total: entries.reduce((acc, e) => acc + e.count, 0),
+      entries,
+    },
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2), 'utf8');
+  return manifest.stages[stage];
+}
+
+module.exports = { MANIFEST_FILE, createRedactor, redactPayload, writeManifest };
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/*
+ Suppressed review findings: inline ignore comments and a committed
+ baseline of accepted findings.
+
+ - `// ai-review-ignore security` (also `/* ... *\/`, `{/* ... *\/}`, `#`)
+   suppresses findings of the listed categories or ruleIds on the comment's
+   own line and the line after it. Without a list it suppresses every
+   finding there; text after `--` is a free-form reason.
+ - The baseline (ai-review-baseline.json at the repo root) lists accepted
+   findings by file, rule (ruleId, else category) and a fingerprint of the
+   annotated line's code. Line numbers are not part of it, so entries keep
+   matching when code moves.
+
+ Suppressed findings leave `review.annotations` for `review.suppressed`,
+ so the gate and reports count only new findings.
+
+ Usage:
+ - node scripts/reviewBaseline.js update [commit-with-review.json]
+   accept every finding in the review; entries for the reviewed files are
+   replaced, entries for other files are kept
+
+ Env flags:
+ - AI_REVIEW_BASELINE=ai-review-baseline.json
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BASELINE_FILE = process.env.AI_REVIEW_BASELINE || 'ai-review-baseline.json';
+
+const IGNORE_COMMENT = /(?:\/\/|\/\*|#)\s*ai-review-ignore\b(.*?)(?:\*\/|$)/;
+
+function ruleOf(a) {
+  return a.ruleId || a.category || 'code_health';
+}
+
+// Whitespace-insensitive hash of the annotated line's code
+function fingerprint(sourceLines, line) {
+  const code = (typeof line === 'number' && sourceLines[line - 1]) || '';
+  return crypto.createHash('sha256').update(code.replace(/\s+/g, ' ').trim()).digest('hex').slice(0, 16);
+}
+
+// Line number -> tokens of the ignore comments covering it ([] means all)
+function ignoreComments(sourceLines) {
+  const covered = new Map();
+  sourceLines.forEach((text, i) => {
+    const m = IGNORE_COMMENT.exec(text);
+    if (!m) return;
+    const tokens = m[1].split('--')[0].split(/[\s,]+/).filter(Boolean);
+    for (const line of [i + 1, i + 2]) {
+      covered.set(line, [...(covered.get(line) || []), tokens]);
+    }
+  });
+  return covered;
+}
+
+function loadBaseline(file = BASELINE_FILE) {
+  if (!fs.existsSync(file)) return { version: 1, findings: [] };
+  try {
+    const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { version: 1, findings: Array.isArray(baseline.findings) ? baseline.findings : [] };
+  } catch (e) {
+    throw new Error(`Could not parse ${file}: ${e.message}`);
+  }
+}
+
+// Sorted so the committed file diffs cleanly
+function saveBaseline(baseline, file = BASELINE_FILE) {
+  const findings = baseline.findings
+    .slice()
+    .sort((x, y) => x.file.localeCompare(y.file) || x.rule.localeCompare(y.rule) || x.fingerprint.localeCompare(y.fingerprint));
+  fs.writeFileSync(file, JSON.stringify({ version: 1, findings }, null, 2) + '\n', 'utf8');
+}
+
+// Fingerprint every annotation in `review` and move suppressed ones to
+// `review.suppressed`. `source` is the reviewed file's text (null when git
+// cannot read it; comments are then not honored). Returns a new review.
+function applySuppressions(review, filePath, source, baseline) {
+  if (!review || !Array.isArray(review.annotations)) return review;
+  const sourceLines = source == null ? [] : source.split(/\r?\n/);
+  const comments = ignoreComments(sourceLines);
+
+  const accepted = new Map();
+  for (const f of baseline.findings) {
+    if (f.file !== filePath) continue;
+    const key = `${f.rule}|${f.fingerprint}`;
+    accepted.set(key, (accepted.get(key) || 0) + 1);
+  }
+
+  const annotations = [];
+  const suppressed = [];
+  for (const original of review.annotations) {
+    const a = { ...original, fingerprint: fingerprint(sourceLines, original.line) };
+    const byComment = (comments.get(a.line) || []).some(
+      (tokens) => tokens.length === 0 || tokens.includes(a.category) || (a.ruleId && tokens.includes(a.ruleId))
+    );
+    const key = `${ruleOf(a)}|${a.fingerprint}`;
+    if (byComment) {
+      suppressed.push({ ...a, suppressedBy: 'comment' });
+    } else if (accepted.get(key) > 0) {
+      accepted.set(key, accepted.get(key) - 1);
+      suppressed.push({ ...a, suppressedBy: 'baseline' });
+    } else {
+      annotations.push(a);
+    }
+  }
+  return { ...review, annotations, suppressed };
+}
+
+// Baseline with the reviewed files' entries replaced by every finding the
+// review reported for them, other than those suppressed by comments
+function updateBaseline(baseline, payload) {
+  const reviews = Array.isArray(payload.reviews) ? payload.reviews : [];
+  const reviewed = new Set(reviews.filter((r) => r.review && !r.review.failure).map((r) => r.filePath));
+  const findings = baseline.findings.filter((f) => !reviewed.has(f.file));
+  for (const r of reviews) {
+    if (!reviewed.has(r.filePath)) continue;
+    const all = [
+      ...(r.review.annotations || []),
+      ...(r.review.suppressed || []).filter((a) => a.suppressedBy === 'baseline'),
+    ];
+    for (const a of all) {
+      if (!a.fingerprint) continue;
+      findings.push({ file: r.filePath, rule: ruleOf(a), fingerprint: a.fingerprint, message: a.message || '' });
+    }
+  }
+  return { version: 1, findings };
+}
+
+function main() {
+  const [command, inputArg] = process.argv.slice(2);
+  if (command !== 'update') {
+    console.error('[ai-review][baseline] Usage: node scripts/reviewBaseline.js update [review.json]');
+    process.exit(1);
+  }
+  const inputFile = inputArg || path.join('.webpack-cache', 'ai-review', 'commit-with-review.json');
+  if (!fs.existsSync(inputFile)) {
+    console.error(`[ai-review][baseline] ${inputFile} not found; run a review first.`);
+    process.exit(1);
+  }
+  const payload = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  const before = loadBaseline();
+  const after = updateBaseline(before, payload);
+  saveBaseline(after);
+  console.log(
+    `[ai-review][baseline] ${BASELINE_FILE}: ${after.findings.length} accepted finding(s) (was ${before.findings.length}). Commit it to share the baseline.`
+  );
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { BASELINE_FILE, loadBaseline, applySuppressions };
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/*
+ Cache of per-file reviews, keyed by a hash of the file's diff, the model
+ and the prompt. Re-running the review on unchanged staged content (aborted
+ commit, amend without code changes) reuses the stored result instead of
+ calling the model again. Only complete reviews are stored.
+
+ Usage:
+ - node scripts/reviewCache.js stats
+ - node scripts/reviewCache.js purge [--older-than-days N]
+
+ Env flags:
+ - AI_REVIEW_CACHE=true|false (default: true)
+ - AI_REVIEW_CACHE_DIR=.webpack-cache/ai-review/cache
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DIR = process.env.AI_REVIEW_CACHE_DIR || path.join('.webpack-cache', 'ai-review', 'cache');
+
+function cacheEnabled() {
+  return String(process.env.AI_REVIEW_CACHE || 'true').toLowerCase() !== 'false';
+}
+
+// Everything that changes what the model would answer goes into the key
+function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(CACHE_DIR, key.slice(0, 2), `${key}.json`);
+}
+
+function readCached(key) {
+  try {
+    return JSON.parse(fs.readFileSync(entryPath(key), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCached(key, value) {
+  const file = entryPath(key);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Write then rename so a concurrent reader never sees half a file
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function listEntries() {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+  return fs
+    .readdirSync(CACHE_DIR, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .flatMap((d) =>
+      fs
+        .readdirSync(path.join(CACHE_DIR, d.name))
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => {
+          const file = path.join(CACHE_DIR, d.name, f);
+          const stat = fs.statSync(file);
+          return { file, size: stat.size, mtimeMs: stat.mtimeMs };
+        })
+    );
+}
+
+// Deletes entries older than `olderThanDays`, or all of them
+function purge({ olderThanDays = null } = {}) {
+  const cutoff = olderThanDays == null ? Infinity : Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+  for (const entry of listEntries()) {
+    if (entry.mtimeMs < cutoff) {
+      fs.unlinkSync(entry.file);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+function main() {
+  const [command = 'stats', ...args] = process.argv.slice(2);
+  if (command === 'purge') {
+    const flag = args.indexOf('--older-than-days');
+    const olderThanDays = flag !== -1 ? parseFloat(args[flag + 1]) : null;
+    if (flag !== -1 && !(olderThanDays >= 0)) {
+      console.error('[ai-review][cache] --older-than-days needs a number');
+      process.exit(1);
+    }
+    const removed = purge({ olderThanDays });
+    console.log(`[ai-review][cache] Removed ${removed} cached review(s) from ${CACHE_DIR}`);
+  } else if (command === 'stats') {
+    const entries = listEntries();
+    const bytes = entries.reduce((acc, e) => acc + e.size, 0);
+    console.log(`[ai-review][cache] ${entries.length} cached review(s), ${(bytes / 1024).toFixed(1)} KiB in ${CACHE_DIR}`);
+  } else {
+    console.error(`[ai-review][cache] Unknown command "${command}". Expected: stats, purge [--older-than-days N]`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { cacheEnabled, cacheKey, readCached, writeCached, purge, CACHE_DIR };
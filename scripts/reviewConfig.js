@@ -0,0 +1,485 @@
+/*
+ Project-level review configuration.
+
+ Reads `ai-review.config.json` from the repo root and fills in defaults for
+ anything it leaves out. The review system prompt is assembled from it, so
+ teams adopting these scripts describe their stack and rules in the config
+ instead of forking the prompt.
+
+ Env flags:
+ - AI_REVIEW_CONFIG=<path> (default: ai-review.config.json in the cwd)
+ - OLLAMA_URL, OLLAMA_MODEL override `model.url` / `model.name` (for any
+   provider)
+ - AI_REVIEW_LLM_PROVIDER, AI_REVIEW_LLM_FIXTURES, AI_REVIEW_LLM_RECORD
+   override `model.provider` / `model.fixtures` / `model.record`
+ - AI_REVIEW_CONCURRENCY, AI_REVIEW_FILE_TIMEOUT (seconds) override
+   `execution.concurrency` / `execution.fileTimeoutSeconds`
+ - AI_REVIEW_VERIFY=true|false overrides `verify.enabled`
+ - AI_REVIEW_SECRETS_BLOCK=true|false overrides `secrets.block`
+ - AI_REVIEW_REDACT=true|false overrides `redaction.enabled`
+ - AI_EMBED_PROVIDER, AI_EMBED_URL, AI_EMBED_MODEL, AI_EMBED_DIMENSIONS
+   override `embeddings.provider` / `.url` / `.model` / `.dimensions`
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { createGlobMatcher } = require("./globMatch.js");
+const { PROVIDERS } = require("./llmClient.js");
+const { EMBEDDING_PROVIDERS } = require("./embeddingProviders.js");
+
+const SEVERITIES = ["must-fix", "should-fix", "nit"];
+
+// What the model is asked to look for in each category
+const CATEGORY_DESCRIPTIONS = {
+	code_health:
+		"unused imports, dead code, console logs, missing keys, bad naming, brittle logic.",
+	accessibility:
+		"alt/aria/roles/labels, keyboard focus/semantics, color contrast hints.",
+	seo: "meta tags, headings structure, link semantics, preloading/lazy loading hints.",
+	tech_debt: "TODO/FIXME/HACK surfaced from notes.todoFixme or new additions.",
+	security:
+		"XSS/HTML injection, unsafe URL handling, secrets, SSRF/csrf hints.",
+	performance:
+		"unnecessary re-renders, heavy sync work, missing memoization, image size/lazy loading, expensive loops.",
+};
+
+const DEFAULT_CONFIG = {
+	stack: {
+		description: "JavaScript/TypeScript web app",
+		technologies: [],
+		patterns: [],
+	},
+	houseRules: [],
+	categories: Object.keys(CATEGORY_DESCRIPTIONS),
+	// category or ruleId -> severity, or "off" to drop the finding
+	severityOverrides: {},
+	ignorePaths: [],
+	// How far (in lines) a finding may be moved onto the nearest added line,
+	// and what happens to findings that still fall outside the diff
+	anchoring: {
+		snapDistance: 3,
+		outsideDiff: "flag",
+	},
+	model: {
+		// "ollama", "openai" (any OpenAI-compatible server) or "replay"
+		// (recorded answers from `fixtures`); see llmClient.js
+		provider: "ollama",
+		url: "http://localhost:11434",
+		name: "qwen2.5-coder",
+		temperature: 0.1,
+		// "schema" sends the response JSON schema as Ollama's `format`, "json"
+		// only asks for valid JSON (Ollama < 0.5), "off" sends neither
+		structuredOutput: "schema",
+		// Follow-up requests that feed a parse error back to the model
+		repairRetries: 1,
+		// Context window per request (sent as Ollama's num_ctx) and the part
+		// of it kept free for the response. Larger diffs are reviewed in parts.
+		contextTokens: 8192,
+		responseTokens: 2048,
+		// Per request: seconds without data before giving up, and retries
+		// after network errors, timeouts and 429/5xx responses
+		requestTimeoutSeconds: 120,
+		retries: 2,
+		stream: false,
+		fixtures: "ai-review-fixtures",
+		record: false,
+	},
+	// Embeddings for the codebase index (embeddingProviders.js): "ollama",
+	// "openai" (any OpenAI-compatible server) or "offline" (no server). A
+	// null url, model or dimensions takes the provider's default. When the
+	// server cannot be reached, the index is built offline instead.
+	embeddings: {
+		provider: "ollama",
+		url: null,
+		model: null,
+		dimensions: null,
+	},
+	// Files reviewed at once, and how long one file may take before it is
+	// recorded as timed out
+	execution: {
+		concurrency: 2,
+		fileTimeoutSeconds: 300,
+	},
+	gate: {
+		enabled: false,
+		severity: "must-fix",
+		categories: [],
+	},
+	// Autofixes are applied to a scratch copy and checked with eslint and
+	// tsc -b. Patches that add errors are demoted (never applied
+	// automatically) or dropped from the review.
+	verify: {
+		enabled: true,
+		onFailure: "demote",
+		timeoutSeconds: 180,
+	},
+	// Secret scanning of added lines (secretScanner.js). Extra rules are
+	// { id, pattern, flags?, description? }; allowlist entries are regexes
+	// for values that are not secrets.
+	secrets: {
+		block: true,
+		entropyThreshold: 4,
+		rules: [],
+		allowlist: [],
+		ignorePaths: ["package-lock.json", "**/*.lock", "pnpm-lock.yaml"],
+	},
+	// What is masked before text reaches the model or the review server
+	// (redaction.js). Secrets are found with the `secrets` rules above;
+	// files matching denyPaths are never sent at all.
+	redaction: {
+		enabled: true,
+		secrets: true,
+		emails: true,
+		absolutePaths: true,
+		allowEmails: [],
+		denyPaths: [".env", ".env.*", "**/*.pem", "**/*.key", "**/secrets/**"],
+	},
+};
+
+const VERIFY_FAILURE_MODES = ["demote", "drop"];
+
+function configPath() {
+	return path.resolve(process.env.AI_REVIEW_CONFIG || "ai-review.config.json");
+}
+
+function stringList(value, field) {
+	if (value == null) return null;
+	if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) {
+		throw new Error(`"${field}" must be an array of strings`);
+	}
+	return value;
+}
+
+function compilePattern(pattern, flags, field, file) {
+	try {
+		return new RegExp(pattern, flags || "");
+	} catch (e) {
+		throw new Error(
+			`${file}: ${field} is not a valid regular expression: ${e.message}`
+		);
+	}
+}
+
+function validate(config, file) {
+	const unknown = config.categories.filter((c) => !CATEGORY_DESCRIPTIONS[c]);
+	if (unknown.length) {
+		throw new Error(
+			`${file}: unknown categories ${unknown.join(", ")}. Expected any of: ${Object.keys(
+				CATEGORY_DESCRIPTIONS
+			).join(", ")}`
+		);
+	}
+	for (const [key, severity] of Object.entries(config.severityOverrides)) {
+		if (severity !== "off" && !SEVERITIES.includes(severity)) {
+			throw new Error(
+				`${file}: severityOverrides["${key}"] is "${severity}". Expected one of: ${SEVERITIES.join(
+					", "
+				)}, off`
+			);
+		}
+	}
+	if (!["flag", "drop"].includes(config.anchoring.outsideDiff)) {
+		throw new Error(
+			`${file}: anchoring.outsideDiff is "${config.anchoring.outsideDiff}". Expected one of: flag, drop`
+		);
+	}
+	if (
+		!Number.isInteger(config.anchoring.snapDistance) ||
+		config.anchoring.snapDistance < 0
+	) {
+		throw new Error(
+			`${file}: anchoring.snapDistance must be a non-negative integer`
+		);
+	}
+	if (!PROVIDERS.includes(config.model.provider)) {
+		throw new Error(
+			`${file}: model.provider is "${config.model.provider}". Expected one of: ${PROVIDERS.join(", ")}`
+		);
+	}
+	if (!EMBEDDING_PROVIDERS.includes(config.embeddings.provider)) {
+		throw new Error(
+			`${file}: embeddings.provider is "${config.embeddings.provider}". Expected one of: ${EMBEDDING_PROVIDERS.join(", ")}`
+		);
+	}
+	if (!(config.model.requestTimeoutSeconds > 0)) {
+		throw new Error(
+			`${file}: model.requestTimeoutSeconds must be a positive number`
+		);
+	}
+	if (!Number.isInteger(config.model.retries) || config.model.retries < 0) {
+		throw new Error(`${file}: model.retries must be a non-negative integer`);
+	}
+	if (!["schema", "json", "off"].includes(config.model.structuredOutput)) {
+		throw new Error(
+			`${file}: model.structuredOutput is "${config.model.structuredOutput}". Expected one of: schema, json, off`
+		);
+	}
+	if (
+		!Number.isInteger(config.model.repairRetries) ||
+		config.model.repairRetries < 0
+	) {
+		throw new Error(
+			`${file}: model.repairRetries must be a non-negative integer`
+		);
+	}
+	const { contextTokens, responseTokens } = config.model;
+	if (
+		!Number.isInteger(contextTokens) ||
+		!Number.isInteger(responseTokens) ||
+		responseTokens <= 0 ||
+		responseTokens >= contextTokens
+	) {
+		throw new Error(
+			`${file}: model.contextTokens and model.responseTokens must be positive integers with responseTokens < contextTokens`
+		);
+	}
+	if (
+		!Number.isInteger(config.execution.concurrency) ||
+		config.execution.concurrency < 1
+	) {
+		throw new Error(`${file}: execution.concurrency must be at least 1`);
+	}
+	if (!(config.execution.fileTimeoutSeconds > 0)) {
+		throw new Error(
+			`${file}: execution.fileTimeoutSeconds must be a positive number`
+		);
+	}
+	if (!SEVERITIES.includes(config.gate.severity)) {
+		throw new Error(
+			`${file}: gate.severity is "${config.gate.severity}". Expected one of: ${SEVERITIES.join(
+				", "
+			)}`
+		);
+	}
+	if (!VERIFY_FAILURE_MODES.includes(config.verify.onFailure)) {
+		throw new Error(
+			`${file}: verify.onFailure is "${config.verify.onFailure}". Expected one of: ${VERIFY_FAILURE_MODES.join(
+				", "
+			)}`
+		);
+	}
+	if (!(config.verify.timeoutSeconds > 0)) {
+		throw new Error(`${file}: verify.timeoutSeconds must be a positive number`);
+	}
+	if (!(config.secrets.entropyThreshold >= 0)) {
+		throw new Error(
+			`${file}: secrets.entropyThreshold must be a number (0 turns the check off)`
+		);
+	}
+	config.secrets.rules.forEach((rule, i) => {
+		if (
+			!rule ||
+			typeof rule.id !== "string" ||
+			typeof rule.pattern !== "string"
+		) {
+			throw new Error(
+				`${file}: secrets.rules[${i}] needs a string "id" and "pattern"`
+			);
+		}
+		compilePattern(rule.pattern, rule.flags, `secrets.rules[${i}]`, file);
+	});
+	config.secrets.allowlist.forEach((pattern, i) =>
+		compilePattern(pattern, "", `secrets.allowlist[${i}]`, file)
+	);
+	config.redaction.allowEmails.forEach((pattern, i) =>
+		compilePattern(pattern, "i", `redaction.allowEmails[${i}]`, file)
+	);
+	return config;
+}
+
+// Defaults <- config file <- env. A missing file is fine; a malformed one is
+// an error, since silently reviewing with the wrong rules is worse.
+function loadReviewConfig(file = configPath()) {
+	let raw = {};
+	if (fs.existsSync(file)) {
+		try {
+			raw = JSON.parse(fs.readFileSync(file, "utf8"));
+		} catch (e) {
+			throw new Error(`Could not parse ${file}: ${e.message}`);
+		}
+	}
+
+	const stack = { ...DEFAULT_CONFIG.stack, ...(raw.stack || {}) };
+	stack.technologies =
+		stringList(stack.technologies, "stack.technologies") || [];
+	stack.patterns = stringList(stack.patterns, "stack.patterns") || [];
+
+	const config = {
+		stack,
+		houseRules: stringList(raw.houseRules, "houseRules") || [],
+		categories:
+			stringList(raw.categories, "categories") || DEFAULT_CONFIG.categories,
+		severityOverrides: { ...(raw.severityOverrides || {}) },
+		ignorePaths: stringList(raw.ignorePaths, "ignorePaths") || [],
+		anchoring: { ...DEFAULT_CONFIG.anchoring, ...(raw.anchoring || {}) },
+		model: { ...DEFAULT_CONFIG.model, ...(raw.model || {}) },
+		embeddings: { ...DEFAULT_CONFIG.embeddings, ...(raw.embeddings || {}) },
+		execution: { ...DEFAULT_CONFIG.execution, ...(raw.execution || {}) },
+		gate: { ...DEFAULT_CONFIG.gate, ...(raw.gate || {}) },
+		verify: { ...DEFAULT_CONFIG.verify, ...(raw.verify || {}) },
+		secrets: { ...DEFAULT_CONFIG.secrets, ...(raw.secrets || {}) },
+		redaction: { ...DEFAULT_CONFIG.redaction, ...(raw.redaction || {}) },
+	};
+	if (!Array.isArray(config.secrets.rules)) {
+		throw new Error('"secrets.rules" must be an array');
+	}
+	config.secrets.allowlist =
+		stringList(config.secrets.allowlist, "secrets.allowlist") || [];
+	config.secrets.ignorePaths =
+		stringList(config.secrets.ignorePaths, "secrets.ignorePaths") || [];
+	config.redaction.allowEmails =
+		stringList(config.redaction.allowEmails, "redaction.allowEmails") || [];
+	config.redaction.denyPaths =
+		stringList(config.redaction.denyPaths, "redaction.denyPaths") || [];
+	config.gate.categories =
+		stringList(config.gate.categories, "gate.categories") || [];
+
+	if (process.env.OLLAMA_URL) config.model.url = process.env.OLLAMA_URL;
+	if (process.env.OLLAMA_MODEL) config.model.name = process.env.OLLAMA_MODEL;
+	if (process.env.AI_REVIEW_LLM_PROVIDER) {
+		config.model.provider = process.env.AI_REVIEW_LLM_PROVIDER.toLowerCase();
+	}
+	if (process.env.AI_REVIEW_LLM_FIXTURES) {
+		config.model.fixtures = process.env.AI_REVIEW_LLM_FIXTURES;
+	}
+	if (process.env.AI_REVIEW_LLM_RECORD) {
+		config.model.record =
+			process.env.AI_REVIEW_LLM_RECORD.toLowerCase() !== "false";
+	}
+	if (process.env.AI_EMBED_PROVIDER) {
+		config.embeddings.provider = process.env.AI_EMBED_PROVIDER.toLowerCase();
+	}
+	if (process.env.AI_EMBED_URL)
+		config.embeddings.url = process.env.AI_EMBED_URL;
+	if (process.env.AI_EMBED_MODEL) {
+		config.embeddings.model = process.env.AI_EMBED_MODEL;
+	}
+	if (process.env.AI_EMBED_DIMENSIONS) {
+		config.embeddings.dimensions = parseInt(
+			process.env.AI_EMBED_DIMENSIONS,
+			10
+		);
+	}
+	if (process.env.AI_REVIEW_CONCURRENCY) {
+		config.execution.concurrency = parseInt(
+			process.env.AI_REVIEW_CONCURRENCY,
+			10
+		);
+	}
+	if (process.env.AI_REVIEW_FILE_TIMEOUT) {
+		config.execution.fileTimeoutSeconds = parseFloat(
+			process.env.AI_REVIEW_FILE_TIMEOUT
+		);
+	}
+
+	if (process.env.AI_REVIEW_REDACT) {
+		config.redaction.enabled =
+			process.env.AI_REVIEW_REDACT.toLowerCase() !== "false";
+	}
+	if (process.env.AI_REVIEW_SECRETS_BLOCK) {
+		config.secrets.block =
+			process.env.AI_REVIEW_SECRETS_BLOCK.toLowerCase() !== "false";
+	}
+	if (process.env.AI_REVIEW_VERIFY) {
+		config.verify.enabled =
+			process.env.AI_REVIEW_VERIFY.toLowerCase() !== "false";
+	}
+
+	return validate(config, path.relative(process.cwd(), file) || file);
+}
+
+function bulletList(items) {
+	return items.map((item) => `- ${item}`).join("\n");
+}
+
+// Type of the "category" field, e.g. "code_health" | "security"
+function categoryUnion(config) {
+	return config.categories.map((c) => `"${c}"`).join(" | ");
+}
+
+function buildSystemPrompt(config) {
+	const { stack } = config;
+	const projectLines = [];
+	if (stack.technologies.length) {
+		projectLines.push(`- Stack: ${stack.technologies.join(", ")}.`);
+	}
+	if (stack.patterns.length) {
+		projectLines.push(
+			`- Patterns:\n${bulletList(stack.patterns).replace(/^/gm, "  ")}`
+		);
+	}
+	if (config.houseRules.length) {
+		projectLines.push(
+			`- House rules:\n${bulletList(config.houseRules).replace(/^/gm, "  ")}`
+		);
+	}
+
+	return `You are “AI Frontend Quality Guardian” for a ${stack.description}. Review ONLY the provided staged changes. Prioritize correctness, security, accessibility, performance, and developer experience.
+${projectLines.length ? `\nProject specifics:\n${projectLines.join("\n")}\n` : ""}
+Scope & input:
+- You receive a JSON payload from a pre-commit collector with:
+  -  {path,status,language,added,deleted,diffUnified,diffUnifiedNoWhitespace,hunks[{rangeNew,additions[{line,content}]}]}
+  - staged.files[] counts, repo/author meta, notes.todoFixme[]
+- Focus your analysis on added/changed lines using hunks.additions[line, content]. Use the unified diff as context. Do NOT speculate beyond shown changes unless a critical adjacent issue is obvious.
+
+Categories to check (label each finding with one primary category):
+${config.categories.map((c) => `- ${c}: ${CATEGORY_DESCRIPTIONS[c]}`).join("\n")}
+
+Output requirements (JSON only):
+{
+  "annotations": [
+    {
+      "file": "string",            // exact file path
+      "line": 123,                 // target new line number (new file numbering)
+      "severity": "must-fix" | "should-fix" | "nit",
+      "category": ${categoryUnion(config)},
+      "message": "concise human-readable issue",
+      "suggestion": "brief actionable fix",
+      "ruleId": "optional short tag (e.g., react-hooks/exhaustive-deps)"
+    }
+  ],
+  "autofixes": [
+    {
+      "file": "string",
+      "patch": "unified diff applying only safe, localized changes",
+      "notes": "when helpful, explain edge cases or alternatives"
+    }
+  ],
+  "summaryMarkdown": "short, skimmable report grouped by category with counts"
+}
+
+Rules:
+- Annotate only lines present in hunks.additions. If context is needed, reference it succinctly.
+- Prefer minimal, precise patches. Do not refactor unrelated code.
+- If uncertain or missing context, add an annotation with severity "should-fix" and include "needs-context" in notes.
+- Keep messages specific, testable, and aligned to the project’s rules above.
+- Avoid duplicating findings for the same line/category; merge where reasonable.
+`;
+}
+
+// Severity after overrides; a ruleId override wins over a category override.
+// Returns null when the finding is switched off.
+function resolveSeverity(annotation, config) {
+	const overrides = config.severityOverrides;
+	const override =
+		(annotation.ruleId && overrides[annotation.ruleId]) ||
+		overrides[annotation.category];
+	if (override === "off") return null;
+	return override || annotation.severity;
+}
+
+function createIgnoreMatcher(config) {
+	return config.ignorePaths.length
+		? createGlobMatcher(config.ignorePaths)
+		: () => false;
+}
+
+module.exports = {
+	SEVERITIES,
+	CATEGORY_DESCRIPTIONS,
+	loadReviewConfig,
+	buildSystemPrompt,
+	categoryUnion,
+	resolveSeverity,
+	createIgnoreMatcher,
+};
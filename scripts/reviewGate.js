@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/*
+ Block the commit when the AI review reported findings at or above a
+ severity threshold. Opt-in; runs after generateReview.js in the pre-commit
+ chain.
+
+ Defaults come from the `gate` section of ai-review.config.json; env flags
+ override them.
+
+ Env flags:
+ - AI_REVIEW_GATE=true|false (default: gate.enabled, else false)
+ - AI_REVIEW_GATE_SEVERITY=must-fix|should-fix|nit (default: gate.severity, else must-fix)
+ - AI_REVIEW_GATE_CATEGORIES=security,accessibility (default: gate.categories, else all)
+ - AI_REVIEW_GATE_BYPASS=true|false (default: false) emergency override;
+   `git commit --no-verify` skips every hook instead
+ - AI_REVIEW_ENABLED=false skips the gate along with the review
+
+ The review is matched to the commit by the staged tree (`git write-tree`),
+ so results from an earlier attempt on the same parent never gate a new one.
+ Findings outside the diff (`outsideDiff`) never block: the commit did not
+ touch that code.
+*/
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { loadReviewConfig } = require('./reviewConfig.js');
+
+// Higher rank = more severe
+const SEVERITY_RANK = { nit: 1, 'should-fix': 2, 'must-fix': 3 };
+
+function getEnvFlag(name, def) {
+  const val = process.env[name];
+  if (val == null) return def;
+  return String(val).toLowerCase() === 'true' || String(val) === '1';
+}
+
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter((s) => s && s !== '*');
+}
+
+function gateOptionsFromEnv(defaults = loadReviewConfig().gate) {
+  return {
+    enabled: getEnvFlag('AI_REVIEW_GATE', defaults.enabled),
+    bypass: getEnvFlag('AI_REVIEW_GATE_BYPASS', false),
+    severity: process.env.AI_REVIEW_GATE_SEVERITY || defaults.severity,
+    categories:
+      process.env.AI_REVIEW_GATE_CATEGORIES != null
+        ? parseList(process.env.AI_REVIEW_GATE_CATEGORIES)
+        : defaults.categories,
+  };
+}
+
+// Annotations from a reviewed payload that meet the gate threshold
+function findBlocking(payload, { severity = 'must-fix', categories = [] } = {}) {
+  const threshold = SEVERITY_RANK[severity];
+  if (!threshold) {
+    throw new Error(`Unknown gate severity "${severity}". Expected one of: ${Object.keys(SEVERITY_RANK).join(', ')}`);
+  }
+  const reviews = Array.isArray(payload.reviews) ? payload.reviews : [];
+  return reviews
+    .flatMap((r) => {
+      const annotations = r.review && Array.isArray(r.review.annotations) ? r.review.annotations : [];
+      return annotations.map((a) => ({ ...a, file: a.file || r.filePath }));
+    })
+    .filter((a) => !a.outsideDiff)
+    .filter((a) => (SEVERITY_RANK[a.severity] || 0) >= threshold)
+    .filter((a) => categories.length === 0 || categories.includes(a.category));
+}
+
+function formatFinding(a) {
+  const loc = typeof a.line === 'number' && a.line > 0 ? `${a.file}:${a.line}` : a.file;
+  const rule = a.ruleId ? ` (${a.ruleId})` : '';
+  const lines = [`  ${loc} [${a.severity}] [${a.category}]${rule} ${a.message || ''}`];
+  if (a.suggestion) lines.push(`    -> ${a.suggestion}`);
+  return lines.join('\n');
+}
+
+// Prints the outcome and returns the exit code for the hook
+function runGate(payload, options, label = 'commit') {
+  const blocking = findBlocking(payload, options);
+  if (blocking.length === 0) {
+    console.log(`[ai-review][gate] No blocking findings (threshold: ${options.severity}).`);
+    return 0;
+  }
+
+  const scope = options.categories.length ? ` in ${options.categories.join(', ')}` : '';
+  console.error(`[ai-review][gate] ${blocking.length} finding(s) at or above ${options.severity}${scope}:`);
+  for (const a of blocking) console.error(formatFinding(a));
+
+  if (options.bypass) {
+    console.error(`[ai-review][gate] AI_REVIEW_GATE_BYPASS is set; allowing the ${label} anyway.`);
+    return 0;
+  }
+  console.error(`[ai-review][gate] Blocking the ${label}. Fix the findings above, or in an emergency re-run with AI_REVIEW_GATE_BYPASS=true.`);
+  return 1;
+}
+
+function gitOutput(cmd) {
+  try {
+    return execSync(cmd, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (e) {
+    return '';
+  }
+}
+
+function main() {
+  const options = gateOptionsFromEnv();
+  if (!options.enabled || !getEnvFlag('AI_REVIEW_ENABLED', true)) process.exit(0);
+
+  const inputFile = process.argv[2] || path.join('.webpack-cache', 'ai-review', 'commit-with-review.json');
+  if (!fs.existsSync(inputFile)) {
+    console.warn(`[ai-review][gate] ${inputFile} not found; nothing to check.`);
+    process.exit(0);
+  }
+  const payload = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+
+  // A review left over from an earlier attempt says nothing about this one.
+  // Payloads from before the tree was recorded fall back to HEAD.
+  const repo = payload.repo || {};
+  const [recorded, current] = repo.tree
+    ? [repo.tree, gitOutput('git write-tree')]
+    : [repo.head, gitOutput('git rev-parse HEAD')];
+  if (recorded && current && recorded !== current) {
+    console.warn('[ai-review][gate] Review results are not for the staged changes; skipping gate.');
+    process.exit(0);
+  }
+
+  process.exit(runGate(payload, options));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { SEVERITY_RANK, findBlocking, formatFinding, gateOptionsFromEnv, runGate };
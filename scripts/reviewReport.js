@@ -0,0 +1,140 @@
+// Helpers shared by the Markdown and HTML review reports
+
+const { execSync } = require('child_process');
+const { parsePatchHunks } = require('./diffUtils.js');
+const { loadReviewConfig } = require('./reviewConfig.js');
+const { createLineScanner, maskText } = require('./secretScanner.js');
+
+const SEVERITY_ORDER = ['must-fix', 'should-fix', 'nit'];
+const EXCERPT_RADIUS = 2;
+
+// Every annotation in the payload, with its file filled in
+function collectAnnotations(payload) {
+  const reviews = Array.isArray(payload.reviews) ? payload.reviews : [];
+  return reviews.flatMap((r) =>
+    r.review && Array.isArray(r.review.annotations)
+      ? r.review.annotations.map((a) => ({ ...a, file: a.file || r.filePath }))
+      : []
+  );
+}
+
+// Findings suppressed by ignore comments or the baseline (reviewBaseline.js)
+function collectSuppressed(payload) {
+  const reviews = Array.isArray(payload.reviews) ? payload.reviews : [];
+  return reviews.flatMap((r) =>
+    r.review && Array.isArray(r.review.suppressed)
+      ? r.review.suppressed.map((a) => ({ ...a, file: a.file || r.filePath }))
+      : []
+  );
+}
+
+// "3 suppressed (1 by comment, 2 by baseline)", or '' when there are none
+function describeSuppressed(payload) {
+  const suppressed = collectSuppressed(payload);
+  if (!suppressed.length) return '';
+  const by = countBy(suppressed, 'suppressedBy', 'comment');
+  const parts = Object.keys(by).map((k) => `${by[k]} by ${k}`);
+  return `${suppressed.length} suppressed (${parts.join(', ')})`;
+}
+
+function countBy(items, key, fallback) {
+  return items.reduce((acc, item) => {
+    const k = item[key] || fallback;
+    acc[k] = (acc[k] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+// Reviewed version of a file: the staged blob for a commit review, the
+// pushed HEAD for a push review. Null when git cannot produce it.
+function readReviewedSource(payload, filePath) {
+  const rev = payload.push && payload.repo && payload.repo.head ? payload.repo.head : '';
+  try {
+    return execSync(`git show ${JSON.stringify(`${rev}:${filePath}`)}`, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 20 * 1024 * 1024,
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+// Masks suspected secrets in one line of the reviewed source. The
+// collectors mask only the diff they store, so source lines read back from
+// git still hold the raw values.
+function createSourceMasker(secrets = loadReviewConfig().secrets) {
+  const scan = createLineScanner(secrets);
+  return (content) => maskText(content, scan(content).map((hit) => hit.value));
+}
+
+// New-file line number -> { content, added }. The collectors diff with
+// --unified=0, so the hunks alone only hold added lines; the full text comes
+// from the reviewed source when git can still read it. Added lines keep the
+// diff's (already masked) text; the others pass through `mask`.
+function buildLineMap(payload, fileDiff, mask = createSourceMasker()) {
+  const lines = new Map();
+  if (!fileDiff || !fileDiff.diffUnified) return lines;
+  for (const hunk of parsePatchHunks(fileDiff.diffUnified)) {
+    let lineNo = hunk.newStart;
+    for (const l of hunk.lines) {
+      if (l.type === '-') continue;
+      lines.set(lineNo, { content: l.content, added: l.type === '+' });
+      lineNo += 1;
+    }
+  }
+
+  const source = readReviewedSource(payload, fileDiff.path);
+  if (source != null) {
+    source.split(/\r?\n/).forEach((content, i) => {
+      const fromDiff = lines.get(i + 1);
+      if (fromDiff && fromDiff.added) return;
+      lines.set(i + 1, { content: mask(content), added: false });
+    });
+  }
+  return lines;
+}
+
+// One line map per file that has findings
+function buildLineMaps(payload) {
+  const annotated = new Set(collectAnnotations(payload).map((a) => a.file));
+  const byFile = payload.diff && Array.isArray(payload.diff.byFile) ? payload.diff.byFile : [];
+  const mask = createSourceMasker();
+  return new Map(byFile.filter((f) => annotated.has(f.path)).map((f) => [f.path, buildLineMap(payload, f, mask)]));
+}
+
+// The annotated line and up to `radius` lines either side of it, limited to
+// the lines the map knows. Returns [] when the line itself is unknown.
+function excerptFor(lineMap, line, radius = EXCERPT_RADIUS) {
+  if (!lineMap || typeof line !== 'number' || !lineMap.has(line)) return [];
+  const excerpt = [];
+  for (let n = line - radius; n <= line + radius; n++) {
+    const entry = lineMap.get(n);
+    if (entry) excerpt.push({ line: n, content: entry.content, added: entry.added, target: n === line });
+  }
+  return excerpt;
+}
+
+// One-line outcome of verifyAutofixes.js for a patch, or '' when it was
+// never verified
+function describeVerification(verification) {
+  if (!verification) return '';
+  const { status, checks = [], newErrors = [], reason } = verification;
+  if (status === 'passed') return `passed (${checks.join(', ')})`;
+  if (status === 'failed') return `failed: ${newErrors.length} new error(s) from ${checks.join(', ')}`;
+  if (status === 'unplaceable') return `could not be placed: ${reason}`;
+  return `not checked: ${reason}`;
+}
+
+module.exports = {
+  SEVERITY_ORDER,
+  collectAnnotations,
+  collectSuppressed,
+  describeSuppressed,
+  countBy,
+  buildLineMap,
+  buildLineMaps,
+  excerptFor,
+  describeVerification,
+  readReviewedSource,
+};
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/*
+ Local AI review server. Accepts payloads from collectStaged.js (and the
+ pre-push collector), queues them, and runs the generateReview pipeline in the
+ background with one warm codebase index connection.
+
+ Endpoints:
+ - POST /pre-commit, POST /pre-push  -> 202 { id, status, url }
+ - GET  /reviews                     -> summaries of known jobs
+ - GET  /reviews/:id                 -> job status, plus the reviewed payload when done
+ - GET  /reviews/:head               -> the same for the latest job on that parent
+                                        commit (or staged tree)
+ - GET  /health
+
+ Job ids are "<kind>-<hash of the staged tree or diff>-<timestamp>", so every
+ attempt gets its own results, even on the same parent commit.
+
+ Env flags:
+ - AI_REVIEW_SERVER_PORT=5959
+ - AI_REVIEW_SERVER_HOST=127.0.0.1
+ - AI_REVIEW_SERVER_OUTPUT_DIR=.webpack-cache/ai-review/reviews
+ - AI_REVIEW_SERVER_MAX_BODY_MB=20
+*/
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { initDB, cleanup } = require('./contextExtractor.js');
+const { reviewPayload } = require('./generateReview.js');
+
+const PORT = parseInt(process.env.AI_REVIEW_SERVER_PORT, 10) || 5959;
+const HOST = process.env.AI_REVIEW_SERVER_HOST || '127.0.0.1';
+const OUTPUT_DIR = process.env.AI_REVIEW_SERVER_OUTPUT_DIR || path.join('.webpack-cache', 'ai-review', 'reviews');
+const MAX_BODY_BYTES = (parseFloat(process.env.AI_REVIEW_SERVER_MAX_BODY_MB) || 20) * 1024 * 1024;
+
+const jobs = new Map(); // id -> job
+const queue = []; // ids waiting to run
+let running = false;
+let db = null;
+
+function sanitizeId(id) {
+  return String(id).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+function resultPath(id) {
+  return path.join(OUTPUT_DIR, `${sanitizeId(id)}.json`);
+}
+
+// A job by id, else the latest one for a parent commit or staged tree
+function findJob(key) {
+  if (jobs.has(key)) return jobs.get(key);
+  let latest = null;
+  // Map iteration follows insertion, so the last match is the newest
+  for (const job of jobs.values()) {
+    const repo = job.payload.repo || {};
+    if (repo.head === key || repo.tree === key) latest = job;
+  }
+  return latest;
+}
+
+// { id, result } from disk, for results from before a restart: by id, else
+// the newest result for a parent commit or staged tree
+function findStoredResult(key) {
+  if (fs.existsSync(resultPath(key))) {
+    return { id: key, result: JSON.parse(fs.readFileSync(resultPath(key), 'utf8')) };
+  }
+  if (!fs.existsSync(OUTPUT_DIR)) return null;
+  const files = fs
+    .readdirSync(OUTPUT_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => ({ file: path.join(OUTPUT_DIR, f), mtime: fs.statSync(path.join(OUTPUT_DIR, f)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime);
+  for (const { file } of files) {
+    const result = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const repo = result.repo || {};
+    if (repo.head === key || repo.tree === key) return { id: path.basename(file, '.json'), result };
+  }
+  return null;
+}
+
+function summarize(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    files: job.payload.diff.byFile.length,
+    queuedAt: job.queuedAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    error: job.error || null,
+    ...(job.supersededBy ? { supersededBy: job.supersededBy } : {}),
+  };
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Payload too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function jobId(kind, payload) {
+  const repo = payload.repo || {};
+  const hash = crypto
+    .createHash('sha256')
+    .update(repo.tree || payload.diff.unified || JSON.stringify(payload.diff.byFile))
+    .digest('hex')
+    .slice(0, 12);
+  return `${kind}-${hash}-${Date.now()}`;
+}
+
+function enqueue(kind, payload) {
+  const id = jobId(kind, payload);
+  const head = payload.repo && payload.repo.head;
+
+  // A re-sent payload for the same head (aborted commit, amend) supersedes a
+  // job that has not started yet instead of queueing a duplicate review
+  if (head) {
+    for (const existing of jobs.values()) {
+      if (existing.status === 'queued' && existing.kind === kind && (existing.payload.repo || {}).head === head) {
+        existing.status = 'superseded';
+        existing.supersededBy = id;
+      }
+    }
+  }
+
+  const job = { id, kind, payload, status: 'queued', queuedAt: new Date().toISOString() };
+  jobs.set(id, job);
+  queue.push(id);
+  setImmediate(drainQueue);
+  return job;
+}
+
+async function drainQueue() {
+  if (running) return;
+  running = true;
+  try {
+    while (queue.length) {
+      const job = jobs.get(queue.shift());
+      if (!job || job.status !== 'queued') continue;
+
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      console.log(`[ai-review][server] Reviewing ${job.kind} ${job.id} (${job.payload.diff.byFile.length} files)`);
+      try {
+        job.result = await reviewPayload(db, job.payload);
+        job.status = 'done';
+        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+        fs.writeFileSync(resultPath(job.id), JSON.stringify(job.result, null, 2), 'utf8');
+      } catch (e) {
+        job.status = 'failed';
+        job.error = e && e.message ? e.message : String(e);
+      }
+      job.finishedAt = new Date().toISOString();
+      console.log(`[ai-review][server] ${job.id}: ${job.status}`);
+    }
+  } finally {
+    running = false;
+  }
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    return sendJson(res, 200, { ok: true, queued: queue.length, running });
+  }
+
+  if (req.method === 'POST' && (url.pathname === '/pre-commit' || url.pathname === '/pre-push')) {
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (e) {
+      return sendJson(res, e.statusCode || 400, { error: e.statusCode ? e.message : 'Invalid JSON body' });
+    }
+    if (!payload || !payload.diff || !Array.isArray(payload.diff.byFile)) {
+      return sendJson(res, 422, { error: 'Payload has no diff.byFile array' });
+    }
+    const job = enqueue(url.pathname.slice(1), payload);
+    return sendJson(res, 202, { ...summarize(job), url: `/reviews/${encodeURIComponent(job.id)}` });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/reviews') {
+    return sendJson(res, 200, { jobs: [...jobs.values()].map(summarize) });
+  }
+
+  const match = /^\/reviews\/([^/]+)$/.exec(url.pathname);
+  if (req.method === 'GET' && match) {
+    const key = decodeURIComponent(match[1]);
+    const job = findJob(key);
+    if (job) {
+      return sendJson(res, 200, { ...summarize(job), result: job.result || null });
+    }
+    // Results from before a restart are still on disk
+    const stored = findStoredResult(key);
+    if (stored) {
+      return sendJson(res, 200, { id: stored.id, status: 'done', result: stored.result });
+    }
+    return sendJson(res, 404, { error: `No review for ${key}` });
+  }
+
+  return sendJson(res, 404, { error: 'Not found' });
+}
+
+function main() {
+  db = initDB();
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      sendJson(res, 500, { error: e && e.message ? e.message : String(e) });
+    });
+  });
+
+  server.listen(PORT, HOST, () => {
+    console.log(`[ai-review][server] Listening on http://${HOST}:${PORT}`);
+  });
+
+  const shutdown = () => {
+    console.log('[ai-review][server] Shutting down...');
+    server.close();
+    cleanup(db).finally(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main();
+}
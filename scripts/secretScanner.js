@@ -0,0 +1,179 @@
+/*
+ Offline scanner for secrets in added lines.
+
+ Runs in the collectors (collectStaged.js, pre-push.js) before anything is
+ written or sent: findings go to `notes.secrets` with the value masked, and
+ every suspected value is replaced in the payload's diffs, so the model and
+ the review server never see it.
+
+ Built-in rules cover common API keys and tokens, private key blocks, JWTs,
+ `.env`-style assignments and high-entropy string literals. Projects add
+ their own under `secrets.rules` in ai-review.config.json:
+
+   { "id": "acme-token", "pattern": "acme_[a-z0-9]{32}", "flags": "i",
+     "description": "ACME API token" }
+
+ When the pattern has a capture group, group 1 is the secret; otherwise the
+ whole match is.
+*/
+
+const { createGlobMatcher } = require('./globMatch.js');
+
+const BUILTIN_RULES = [
+  { id: 'aws-access-key', description: 'AWS access key ID', pattern: /\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/ },
+  {
+    id: 'aws-secret-key',
+    description: 'AWS secret access key',
+    pattern: /aws_?secret_?(?:access_?)?key\W{0,4}([A-Za-z0-9/+=]{40})\b/i,
+  },
+  { id: 'github-token', description: 'GitHub token', pattern: /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,}|github_pat_\w{22,})\b/ },
+  { id: 'slack-token', description: 'Slack token', pattern: /\b(xox[abposr]-[A-Za-z0-9-]{10,})\b/ },
+  { id: 'stripe-key', description: 'Stripe secret key', pattern: /\b((?:sk|rk)_live_[A-Za-z0-9]{20,})\b/ },
+  { id: 'google-api-key', description: 'Google API key', pattern: /\b(AIza[0-9A-Za-z_-]{35})\b/ },
+  { id: 'openai-key', description: 'OpenAI API key', pattern: /\b(sk-(?:proj-)?[A-Za-z0-9_-]{20,})\b/ },
+  { id: 'private-key', description: 'Private key block', pattern: /(-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----)/ },
+  { id: 'jwt', description: 'JSON Web Token', pattern: /\b(eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})/ },
+  {
+    id: 'env-assignment',
+    description: 'Credential assigned in .env style',
+    pattern:
+      /^\s*(?:export\s+)?[A-Z][A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD|PWD|CREDENTIALS?)\s*=\s*["']?([^\s"'#]{8,})/,
+  },
+  {
+    id: 'credential-literal',
+    description: 'Credential in a string literal',
+    pattern: /\b(?:api_?key|secret|token|password|passwd|auth)\w*["']?\s*[:=]\s*["'`]([^"'`\s]{8,})["'`]/i,
+  },
+];
+
+// Values that are clearly not real credentials
+const PLACEHOLDER =
+  /^(?:\$\{.*\}|\$[A-Z_]+|<.*>|\{\{.*\}\}|x{4,}|\*{4,}|changeme|change_me|your[_-].*|example.*|placeholder|dummy.*|test.*|null|undefined|true|false|process\.env\..*|import\.meta\.env\..*)$/i;
+
+const ENTROPY_CANDIDATE = /["'`]([A-Za-z0-9+/=_-]{20,})["'`]/g;
+
+// Bits of entropy per character
+function shannonEntropy(text) {
+  const counts = {};
+  for (const ch of text) counts[ch] = (counts[ch] || 0) + 1;
+  return Object.values(counts).reduce((acc, n) => {
+    const p = n / text.length;
+    return acc - p * Math.log2(p);
+  }, 0);
+}
+
+// Tokens mix digits into their letters, so identifiers and words
+// (camelCase, snake_case, SCREAMING_SNAKE) and KEY=value pairs never count;
+// base64 has "=" only as trailing padding. Hex strings cannot reach the
+// base64 threshold and are held to their own.
+function isHighEntropy(value, threshold) {
+  if (!/[0-9]/.test(value) || !/[A-Za-z]/.test(value) || /=[^=]/.test(value)) return false;
+  if (/^[0-9a-f]+$/i.test(value)) return value.length >= 32 && shannonEntropy(value) >= threshold * 0.75;
+  return shannonEntropy(value) >= threshold;
+}
+
+// "sk_live_abcdef..." -> "sk_l****************(32 chars)"
+function maskSecret(value) {
+  const shown = value.length > 12 ? value.slice(0, 4) : '';
+  return `${shown}${'*'.repeat(Math.min(16, value.length - shown.length))} (${value.length} chars)`;
+}
+
+// Every pattern is compiled global for matchAll; fresh copies, so no
+// lastIndex is shared between scans
+function compileRules(custom) {
+  const global = (source, flags) => new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+  return [
+    ...BUILTIN_RULES.map((r) => ({ ...r, pattern: global(r.pattern.source, r.pattern.flags) })),
+    ...custom.map((r) => ({ id: r.id, description: r.description || r.id, pattern: global(r.pattern, r.flags || '') })),
+  ];
+}
+
+// Secrets on one added line: [{ ruleId, description, value }]
+function scanLine(content, rules, { entropyThreshold, allowlist }) {
+  const hits = [];
+  const seen = new Set();
+  const add = (ruleId, description, value) => {
+    if (!value || seen.has(value) || PLACEHOLDER.test(value)) return;
+    if (allowlist.some((re) => re.test(value))) return;
+    seen.add(value);
+    hits.push({ ruleId, description, value });
+  };
+
+  for (const rule of rules) {
+    for (const m of content.matchAll(rule.pattern)) {
+      add(rule.id, rule.description, m[1] !== undefined ? m[1] : m[0]);
+    }
+  }
+  if (entropyThreshold > 0) {
+    for (const m of content.matchAll(ENTROPY_CANDIDATE)) {
+      if (isHighEntropy(m[1], entropyThreshold)) add('high-entropy-string', 'High-entropy string', m[1]);
+    }
+  }
+  return hits;
+}
+
+// Scanner for single lines with the given `secrets` options:
+// (content) => [{ ruleId, description, value }]
+function createLineScanner(options) {
+  const rules = compileRules(options.rules || []);
+  const allowlist = (options.allowlist || []).map((p) => new RegExp(p));
+  return (content) => scanLine(content, rules, { entropyThreshold: options.entropyThreshold, allowlist });
+}
+
+// Scan the added lines of collector file entries. Returns { findings, values }:
+// findings carry only a masked preview; `values` are the raw secrets, to be
+// masked out of the payload and never stored.
+function scanAdditions(perFile, options) {
+  const scan = createLineScanner(options);
+  const isIgnored = options.ignorePaths && options.ignorePaths.length ? createGlobMatcher(options.ignorePaths) : () => false;
+  const findings = [];
+  const values = new Set();
+
+  for (const file of perFile) {
+    if (isIgnored(file.path)) continue;
+    for (const h of file.hunks || []) {
+      for (const add of h.additions) {
+        for (const hit of scan(add.content)) {
+          values.add(hit.value);
+          findings.push({
+            file: file.path,
+            line: add.line,
+            ruleId: hit.ruleId,
+            description: hit.description,
+            preview: maskSecret(hit.value),
+          });
+        }
+      }
+    }
+  }
+  return { findings, values: [...values] };
+}
+
+// Replace every suspected secret in `text`; longest first, so a value that
+// contains another is masked whole
+function maskText(text, values) {
+  if (!text || !values.length) return text;
+  return values
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .reduce((acc, value) => acc.split(value).join('[REDACTED SECRET]'), text);
+}
+
+// Mask the diffs and added lines of collector file entries in place
+function maskFileEntries(perFile, values) {
+  if (!values.length) return perFile;
+  for (const file of perFile) {
+    file.diffUnified = maskText(file.diffUnified, values);
+    file.diffUnifiedNoWhitespace = maskText(file.diffUnifiedNoWhitespace, values);
+    for (const h of file.hunks || []) {
+      for (const add of h.additions) add.content = maskText(add.content, values);
+    }
+  }
+  return perFile;
+}
+
+function formatSecretFinding(f) {
+  return `  ${f.file}:${f.line} [${f.ruleId}] ${f.description}: ${f.preview}`;
+}
+
+module.exports = { BUILTIN_RULES, createLineScanner, scanAdditions, maskText, maskFileEntries, formatSecretFinding };
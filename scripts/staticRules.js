@@ -0,0 +1,245 @@
+/*
+ Deterministic checks run on every reviewed JS/TS file with the same Babel
+ AST the codebase index uses. Findings use the review annotation schema
+ with a `ruleId`, are limited to added lines, and are merged with the
+ model's review. The model is told which findings are already reported, and
+ they survive when the model is unavailable.
+
+ Rules can be re-graded or turned off per ruleId in `severityOverrides`.
+ Each rule's `topic` matches a model message about the same problem, so
+ the model's duplicate of a static finding can be recognized.
+*/
+
+const traverseDefault = require("@babel/traverse");
+const traverse = traverseDefault.default || traverseDefault;
+const { parseSource } = require("./contextExtractor.js");
+const { SEVERITIES, resolveSeverity } = require("./reviewConfig.js");
+
+const RULES = {
+	"static/jsx-key": {
+		category: "code_health",
+		severity: "should-fix",
+		message: "JSX element returned from .map() has no `key` prop.",
+		suggestion:
+			"Add a stable, unique `key` (e.g. an id from the item, not the index).",
+		topic: /\bkey\b/i,
+	},
+	"static/img-alt": {
+		category: "accessibility",
+		severity: "should-fix",
+		message: "<img> has no `alt` attribute.",
+		suggestion:
+			'Describe the image in `alt`, or use `alt=""` if it is decorative.',
+		topic: /\balt\b/i,
+	},
+	"static/no-explicit-any": {
+		category: "code_health",
+		severity: "nit",
+		message: "`any` disables type checking for this value.",
+		suggestion: "Use a specific type, a generic or `unknown`.",
+		topic: /\bany\b/i,
+	},
+	"static/no-console-log": {
+		category: "code_health",
+		severity: "nit",
+		message: "console.log left in the code.",
+		suggestion: "Remove it or use the project's logger.",
+		topic: /console\.log/i,
+	},
+	"static/no-danger": {
+		category: "security",
+		severity: "should-fix",
+		message: "dangerouslySetInnerHTML renders raw HTML and risks XSS.",
+		suggestion:
+			"Render the content as JSX, or sanitize it (e.g. DOMPurify) right before use.",
+		topic: /dangerouslySetInnerHTML|innerHTML/i,
+	},
+	"static/target-blank-rel": {
+		category: "security",
+		severity: "should-fix",
+		message:
+			'target="_blank" without rel="noopener noreferrer" exposes window.opener.',
+		suggestion: 'Add rel="noopener noreferrer".',
+		topic: /noopener|noreferrer|_blank|window\.opener/i,
+	},
+};
+
+function jsxName(node) {
+	return node.name && node.name.type === "JSXIdentifier" ? node.name.name : "";
+}
+
+// Attribute by name; undefined when absent, null when a spread could set it
+function jsxAttribute(opening, name) {
+	let spread = false;
+	for (const attr of opening.attributes) {
+		if (attr.type === "JSXSpreadAttribute") spread = true;
+		else if (attr.name && attr.name.name === name) return attr;
+	}
+	return spread ? null : undefined;
+}
+
+function stringValue(attr) {
+	if (!attr || !attr.value) return null;
+	if (attr.value.type === "StringLiteral") return attr.value.value;
+	const expr = attr.value.expression;
+	if (expr && expr.type === "StringLiteral") return expr.value;
+	return null;
+}
+
+// The JSX a .map() callback returns: its expression body, or the argument
+// of each `return` in a block body (not those of nested functions)
+function returnedJsx(callbackPath) {
+	const body = callbackPath.node.body;
+	if (body.type !== "BlockStatement") return [body];
+	const found = [];
+	callbackPath.get("body").traverse({
+		Function(path) {
+			path.skip();
+		},
+		ReturnStatement(path) {
+			found.push(path.node.argument);
+		},
+	});
+	return found;
+}
+
+// Raw findings for one file: [{ ruleId, line }]
+function findViolations(ast) {
+	const found = [];
+	const report = (ruleId, node) =>
+		found.push({ ruleId, line: node.loc.start.line });
+
+	traverse(ast, {
+		CallExpression(path) {
+			const { callee, arguments: args } = path.node;
+			if (
+				callee.type === "MemberExpression" &&
+				!callee.computed &&
+				callee.object.type === "Identifier" &&
+				callee.object.name === "console" &&
+				callee.property.name === "log"
+			) {
+				report("static/no-console-log", path.node);
+			}
+
+			const isMap =
+				callee.type === "MemberExpression" &&
+				!callee.computed &&
+				callee.property.name === "map";
+			const callback = args[0];
+			if (!isMap || !callback || !/FunctionExpression$/.test(callback.type)) {
+				return;
+			}
+			for (const node of returnedJsx(path.get("arguments.0"))) {
+				if (!node) continue;
+				if (node.type === "JSXFragment") {
+					report("static/jsx-key", node);
+				} else if (
+					node.type === "JSXElement" &&
+					jsxAttribute(node.openingElement, "key") === undefined
+				) {
+					report("static/jsx-key", node);
+				}
+			}
+		},
+		JSXOpeningElement(path) {
+			const opening = path.node;
+			const name = jsxName(opening);
+			if (name === "img" && jsxAttribute(opening, "alt") === undefined) {
+				report("static/img-alt", opening);
+			}
+			if (jsxAttribute(opening, "dangerouslySetInnerHTML")) {
+				report("static/no-danger", opening);
+			}
+			const target = jsxAttribute(opening, "target");
+			if (target && stringValue(target) === "_blank") {
+				const rel = jsxAttribute(opening, "rel");
+				const relValue = stringValue(rel);
+				// A dynamic rel may well be right; only flag what we can see
+				const dynamic = rel === null || (rel && relValue === null);
+				if (!dynamic && !/\bnoopener\b|\bnoreferrer\b/.test(relValue || "")) {
+					report("static/target-blank-rel", opening);
+				}
+			}
+		},
+		TSAnyKeyword(path) {
+			report("static/no-explicit-any", path.node);
+		},
+	});
+	return found;
+}
+
+// Annotations for the added lines of one file, graded by the config like
+// model findings. Files that are not JS/TS, or do not parse, yield none.
+function runStaticRules(source, filePath, addedLines, config) {
+	if (source == null) return [];
+	const ast = parseSource(source, filePath);
+	if (!ast) return [];
+
+	const added = new Set(addedLines);
+	const seen = new Set();
+	const annotations = [];
+	for (const { ruleId, line } of findViolations(ast)) {
+		const key = `${ruleId}:${line}`;
+		if (!added.has(line) || seen.has(key)) continue;
+		seen.add(key);
+
+		const rule = RULES[ruleId];
+		if (!config.categories.includes(rule.category)) continue;
+		const annotation = {
+			file: filePath,
+			line,
+			severity: rule.severity,
+			category: rule.category,
+			message: rule.message,
+			suggestion: rule.suggestion,
+			ruleId,
+			source: "static",
+		};
+		const severity = resolveSeverity(annotation, config);
+		if (!severity) continue;
+		annotations.push({ ...annotation, severity });
+	}
+	return annotations.sort((a, b) => a.line - b.line);
+}
+
+// Prompt section telling the model what is already reported
+function describeStaticFindings(findings) {
+	const checks = Object.keys(RULES).join(", ");
+	const list = findings.length
+		? findings.map((f) => `- line ${f.line}: ${f.ruleId} (${f.message})`)
+		: ["- None in this diff."];
+	return `Automated checks already cover: ${checks}. Do NOT report these again:\n${list.join(
+		"\n"
+	)}`;
+}
+
+// Whether model annotation `a` reports the same problem as static finding
+// `f`: same line, and the same ruleId or a message on the rule's topic.
+// A model finding graded more severe is kept; it may know something the
+// rule does not.
+function duplicates(a, f) {
+	if (a.line !== f.line) return false;
+	if (SEVERITIES.indexOf(a.severity) < SEVERITIES.indexOf(f.severity)) {
+		return false;
+	}
+	if (a.ruleId) return a.ruleId === f.ruleId;
+	const rule = RULES[f.ruleId];
+	return !!rule && rule.topic.test(a.message || "");
+}
+
+// Static findings first, then the model findings that do not duplicate one
+function mergeStaticFindings(review, findings) {
+	if (!findings.length) return review;
+	const modelAnnotations = (review.annotations || []).filter(
+		(a) => !findings.some((f) => duplicates(a, f))
+	);
+	return { ...review, annotations: [...findings, ...modelAnnotations] };
+}
+
+module.exports = {
+	RULES,
+	runStaticRules,
+	describeStaticFindings,
+	mergeStaticFindings,
+};
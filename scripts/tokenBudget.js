@@ -0,0 +1,165 @@
+/*
+ Token estimation and budgeting for review requests.
+
+ Exact counts depend on the model's tokenizer, which is not available here;
+ source code averages about 3 characters per token, so estimates err on the
+ high side for prose and close to right for code.
+*/
+
+const CHARS_PER_TOKEN = 3;
+
+function estimateTokens(text) {
+	return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+function truncateToTokens(text, maxTokens) {
+	const str = String(text || "");
+	if (estimateTokens(str) <= maxTokens) return str;
+	const marker = "\n... (truncated to fit the token budget)";
+	const keep = Math.max(0, maxTokens * CHARS_PER_TOKEN - marker.length);
+	return str.slice(0, keep) + marker;
+}
+
+// Split a unified diff into file header + hunks, keeping hunk text verbatim
+function splitHunks(diffText) {
+	const lines = String(diffText || "").split("\n");
+	const firstHunk = lines.findIndex((l) => l.startsWith("@@"));
+	if (firstHunk === -1) return { header: diffText, hunks: [] };
+
+	const hunks = [];
+	for (const line of lines.slice(firstHunk)) {
+		if (line.startsWith("@@")) hunks.push([line]);
+		else hunks[hunks.length - 1].push(line);
+	}
+	return {
+		header: lines.slice(0, firstHunk).join("\n"),
+		hunks: hunks.map((h) => h.join("\n").replace(/\n+$/, "")),
+	};
+}
+
+// Cut one hunk into consecutive pieces of at most `maxTokens`, each with a
+// recomputed `@@ -a,b +c,d @@` header
+function splitHunk(hunkText, maxTokens) {
+	const [headerLine, ...body] = hunkText.split("\n");
+	const m = /^@@\s+-(\d+)(?:,(\d+))?\s+\+(\d+)(?:,(\d+))?\s+@@(.*)$/.exec(
+		headerLine
+	);
+	if (!m) return [hunkText];
+
+	let oldLine = parseInt(m[1], 10);
+	let newLine = parseInt(m[3], 10);
+	// A zero count means "insert/delete after this line"; keep that base
+	if (m[2] === "0") oldLine += 1;
+	if (m[4] === "0") newLine += 1;
+
+	const pieces = [];
+	let current = null;
+	const flush = () => {
+		if (!current || !current.lines.length) return;
+		const oldStart = current.oldCount ? current.oldStart : current.oldStart - 1;
+		const newStart = current.newCount ? current.newStart : current.newStart - 1;
+		pieces.push(
+			[
+				`@@ -${oldStart},${current.oldCount} +${newStart},${current.newCount} @@${m[5]}`,
+				...current.lines,
+			].join("\n")
+		);
+		current = null;
+	};
+
+	for (const line of body) {
+		const lineTokens = estimateTokens(line) + 1;
+		if (current && current.tokens + lineTokens > maxTokens) flush();
+		if (!current) {
+			current = {
+				oldStart: oldLine,
+				newStart: newLine,
+				oldCount: 0,
+				newCount: 0,
+				lines: [],
+				tokens: estimateTokens(headerLine),
+			};
+		}
+		current.lines.push(line);
+		current.tokens += lineTokens;
+		if (line.startsWith("-")) {
+			current.oldCount += 1;
+			oldLine += 1;
+		} else if (line.startsWith("+")) {
+			current.newCount += 1;
+			newLine += 1;
+		} else if (line.startsWith(" ")) {
+			current.oldCount += 1;
+			current.newCount += 1;
+			oldLine += 1;
+			newLine += 1;
+		}
+	}
+	flush();
+	return pieces;
+}
+
+// Group a file diff's hunks into diffs of at most `maxTokens` each. Hunks
+// stay whole unless a single hunk is over budget on its own.
+function splitDiffByBudget(diffText, maxTokens) {
+	if (estimateTokens(diffText) <= maxTokens) return [diffText];
+
+	const { header, hunks } = splitHunks(diffText);
+	const hunkBudget = Math.max(1, maxTokens - estimateTokens(header));
+	const pieces = hunks.flatMap((h) =>
+		estimateTokens(h) > hunkBudget ? splitHunk(h, hunkBudget) : [h]
+	);
+
+	const groups = [];
+	let group = [];
+	let tokens = 0;
+	for (const piece of pieces) {
+		const pieceTokens = estimateTokens(piece) + 1;
+		if (group.length && tokens + pieceTokens > hunkBudget) {
+			groups.push(group);
+			group = [];
+			tokens = 0;
+		}
+		group.push(piece);
+		tokens += pieceTokens;
+	}
+	if (group.length) groups.push(group);
+
+	return groups.map((g) => [header, ...g].filter(Boolean).join("\n") + "\n");
+}
+
+// Fill `budget` tokens from several lists of text items, taking one item from
+// each list in turn so every section keeps its most relevant entries.
+// sections: { name: string[] } -> { name: string[] } of the items that fit
+function fitSections(sections, budget) {
+	const names = Object.keys(sections);
+	const fitted = Object.fromEntries(names.map((name) => [name, []]));
+	const next = Object.fromEntries(names.map((name) => [name, 0]));
+	let remaining = budget;
+
+	let progressed = true;
+	while (progressed) {
+		progressed = false;
+		for (const name of names) {
+			const item = sections[name][next[name]];
+			if (item === undefined) continue;
+			const cost = estimateTokens(item) + 1;
+			if (cost > remaining) {
+				next[name] = Infinity; // later items are no more relevant than this one
+				continue;
+			}
+			fitted[name].push(item);
+			next[name] += 1;
+			remaining -= cost;
+			progressed = true;
+		}
+	}
+	return fitted;
+}
+
+module.exports = {
+	estimateTokens,
+	truncateToTokens,
+	splitDiffByBudget,
+	fitSections,
+};
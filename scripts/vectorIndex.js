@@ -0,0 +1,112 @@
+/*
+ Dense in-memory vector index for chunk embeddings.
+
+ Embeddings are stored in SQLite as little-endian Float32 blobs, normalized to
+ unit length at write time so cosine similarity is a plain dot product. The
+ index packs every vector into one contiguous Float32Array and keeps only the
+ best k scores in a min-heap, so a query never sorts or allocates per row.
+*/
+
+function normalize(values) {
+	const vector = Float32Array.from(values);
+	let norm = 0;
+	for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+	norm = Math.sqrt(norm);
+	if (norm > 0) {
+		for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+	}
+	return vector;
+}
+
+// number[] -> Buffer holding the unit-length Float32 vector
+function encodeVector(values) {
+	const vector = normalize(values);
+	return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+// Buffer from SQLite -> Float32Array (copied, so it is correctly aligned)
+function decodeVector(buffer) {
+	const copy = new Uint8Array(buffer.byteLength);
+	copy.set(buffer);
+	return new Float32Array(copy.buffer);
+}
+
+// rows: [{ id, path, embedding: Buffer }]. Rows whose dimensions differ from the
+// first row (or that are not blobs, e.g. pre-migration JSON) are skipped.
+function buildIndex(rows) {
+	const valid = rows.filter((r) => Buffer.isBuffer(r.embedding));
+	const dims = valid.length ? valid[0].embedding.byteLength / 4 : 0;
+	const usable = valid.filter((r) => r.embedding.byteLength === dims * 4);
+
+	const ids = new Float64Array(usable.length);
+	const paths = new Array(usable.length);
+	const matrix = new Float32Array(usable.length * dims);
+	usable.forEach((r, i) => {
+		ids[i] = r.id;
+		paths[i] = r.path;
+		matrix.set(decodeVector(r.embedding), i * dims);
+	});
+	return { ids, paths, dims, matrix, size: usable.length };
+}
+
+// Top-k ids by dot product with the (normalized) query vector. An optional
+// `filter(path)` excludes rows before scoring.
+function queryIndex(index, queryValues, k, filter = null) {
+	const { ids, paths, dims, matrix, size } = index;
+	const query = normalize(queryValues);
+	if (!size || query.length !== dims || k <= 0) return [];
+
+	// Min-heap of the best k (score, row) pairs seen so far
+	const heapScores = new Float64Array(k);
+	const heapRows = new Int32Array(k);
+	let heapSize = 0;
+
+	const siftDown = (i) => {
+		for (;;) {
+			const l = 2 * i + 1;
+			const r = l + 1;
+			let min = i;
+			if (l < heapSize && heapScores[l] < heapScores[min]) min = l;
+			if (r < heapSize && heapScores[r] < heapScores[min]) min = r;
+			if (min === i) return;
+			[heapScores[i], heapScores[min]] = [heapScores[min], heapScores[i]];
+			[heapRows[i], heapRows[min]] = [heapRows[min], heapRows[i]];
+			i = min;
+		}
+	};
+	const siftUp = (i) => {
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (heapScores[parent] <= heapScores[i]) return;
+			[heapScores[i], heapScores[parent]] = [heapScores[parent], heapScores[i]];
+			[heapRows[i], heapRows[parent]] = [heapRows[parent], heapRows[i]];
+			i = parent;
+		}
+	};
+
+	for (let row = 0; row < size; row++) {
+		if (filter && !filter(paths[row])) continue;
+		let score = 0;
+		const offset = row * dims;
+		for (let d = 0; d < dims; d++) score += matrix[offset + d] * query[d];
+
+		if (heapSize < k) {
+			heapScores[heapSize] = score;
+			heapRows[heapSize] = row;
+			siftUp(heapSize);
+			heapSize += 1;
+		} else if (score > heapScores[0]) {
+			heapScores[0] = score;
+			heapRows[0] = row;
+			siftDown(0);
+		}
+	}
+
+	const results = [];
+	for (let i = 0; i < heapSize; i++) {
+		results.push({ id: ids[heapRows[i]], score: heapScores[i] });
+	}
+	return results.sort((a, b) => b.score - a.score);
+}
+
+module.exports = { encodeVector, decodeVector, buildIndex, queryIndex };
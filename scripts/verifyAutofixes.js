@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/*
+ Check the review's autofix patches before anyone is offered them.
+
+ The reviewed tree (the index for a commit review, HEAD for a push review)
+ is copied to a scratch directory. Each patch is placed with
+ patchNormalizer.js and applied there, then eslint runs on the files it
+ touches and `tsc -b` on the project. Only errors the patch adds count:
+ both tools are also run on the unpatched copy, and errors already there are
+ ignored. The result is stored on each autofix as `verification`:
+
+   { status: 'passed' | 'failed' | 'unplaceable' | 'skipped',
+     checks: ['eslint', 'tsc'], newErrors: [{ tool, file, line, message }],
+     reason }
+
+ Failed patches stay in the review, marked, or move to
+ `review.droppedAutofixes`, depending on `verify.onFailure` in the config.
+
+ Usage: node scripts/verifyAutofixes.js [commit-with-review.json]
+ (the file is updated in place)
+
+ Env flags:
+ - AI_REVIEW_VERIFY=true|false overrides `verify.enabled` in the config
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync, spawnSync } = require('child_process');
+const { normalizePatch } = require('./patchNormalizer.js');
+const { loadReviewConfig } = require('./reviewConfig.js');
+
+const BIN_DIR = path.resolve('node_modules', '.bin');
+const TS_FILE = /\.(ts|tsx|mts|cts)$/;
+
+// Copy of the reviewed tree with the repo's node_modules linked in entry by
+// entry, so tsc's build info (node_modules/.tmp) stays in the copy
+function createScratchCopy(payload) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-verify-'));
+  const rev = payload.push && payload.repo && payload.repo.head ? payload.repo.head : '';
+  if (rev) {
+    execSync(`git archive --format=tar ${rev} | tar -x -C ${JSON.stringify(dir)}`, { stdio: ['ignore', 'ignore', 'pipe'] });
+  } else {
+    execSync(`git checkout-index --all --prefix=${JSON.stringify(dir + path.sep)}`, { stdio: ['ignore', 'ignore', 'pipe'] });
+  }
+
+  if (fs.existsSync('node_modules')) {
+    const modules = path.join(dir, 'node_modules');
+    fs.mkdirSync(modules, { recursive: true });
+    for (const entry of fs.readdirSync('node_modules')) {
+      if (entry === '.tmp') continue;
+      fs.symlinkSync(path.resolve('node_modules', entry), path.join(modules, entry));
+    }
+  }
+  return dir;
+}
+
+// Git variables from the hook (GIT_DIR, GIT_INDEX_FILE) would point git
+// apply back at the real repository
+function scratchEnv() {
+  return Object.fromEntries(Object.entries(process.env).filter(([k]) => !k.startsWith('GIT_')));
+}
+
+function runTool(dir, bin, args, timeoutMs) {
+  const result = spawnSync(path.join(BIN_DIR, bin), args, {
+    cwd: dir,
+    env: scratchEnv(),
+    encoding: 'utf8',
+    timeout: timeoutMs,
+    maxBuffer: 20 * 1024 * 1024,
+  });
+  if (result.error) {
+    const reason = result.error.code === 'ETIMEDOUT' ? `timed out after ${timeoutMs / 1000}s` : result.error.message;
+    return { error: `${bin} ${reason}` };
+  }
+  return { status: result.status, stdout: result.stdout || '', stderr: result.stderr || '' };
+}
+
+// Errors eslint reports for `files`; `linted` is false when eslint's config
+// ignores all of them
+function runEslint(dir, files, timeoutMs) {
+  const result = runTool(dir, 'eslint', ['--format', 'json', '--no-warn-ignored', ...files], timeoutMs);
+  if (result.error) return result;
+  // 0: clean, 1: lint errors, 2: eslint itself failed
+  if (result.status === 2) return { error: `eslint failed: ${result.stderr.trim().split('\n')[0]}` };
+  let reports;
+  try {
+    reports = JSON.parse(result.stdout);
+  } catch (e) {
+    return { error: `eslint output is not JSON: ${e.message}` };
+  }
+  const errors = reports.flatMap((r) =>
+    r.messages
+      .filter((m) => m.severity === 2)
+      .map((m) => ({
+        tool: 'eslint',
+        file: path.relative(dir, r.filePath),
+        line: m.line || 0,
+        message: m.ruleId ? `${m.message} (${m.ruleId})` : m.message,
+      }))
+  );
+  return { linted: reports.length > 0, errors };
+}
+
+// "src/App.tsx(3,5): error TS2322: Type ..." lines from `tsc -b`
+function runTsc(dir, timeoutMs) {
+  const result = runTool(dir, 'tsc', ['-b', '--pretty', 'false'], timeoutMs);
+  if (result.error) return result;
+  const errors = [];
+  for (const line of result.stdout.split('\n')) {
+    const m = /^(.+?)\((\d+),\d+\): error (TS\d+: .*)$/.exec(line.trim());
+    if (m) errors.push({ tool: 'tsc', file: m[1], line: parseInt(m[2], 10), message: m[3] });
+  }
+  if (result.status !== 0 && !errors.length) {
+    return { error: `tsc failed: ${(result.stdout || result.stderr).trim().split('\n')[0]}` };
+  }
+  return { errors };
+}
+
+// Errors in `after` that are not in `before`. Line numbers are left out of
+// the comparison since the patch itself moves lines.
+function newErrors(before, after) {
+  const remaining = new Map();
+  for (const e of before) {
+    const key = `${e.tool}|${e.file}|${e.message}`;
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  }
+  return after.filter((e) => {
+    const key = `${e.tool}|${e.file}|${e.message}`;
+    const left = remaining.get(key) || 0;
+    if (left > 0) {
+      remaining.set(key, left - 1);
+      return false;
+    }
+    return true;
+  });
+}
+
+function readIn(dir, file) {
+  const full = path.join(dir, file);
+  return fs.existsSync(full) ? fs.readFileSync(full, 'utf8') : null;
+}
+
+function createVerifier(dir, timeoutMs) {
+  const eslintBaseline = new Map();
+  let tscBaseline = null;
+
+  const baselineEslint = (files) => {
+    const missing = files.filter((f) => !eslintBaseline.has(f));
+    if (missing.length) {
+      const result = runEslint(dir, missing, timeoutMs);
+      if (result.error) return result;
+      for (const f of missing) eslintBaseline.set(f, result.errors.filter((e) => e.file === f));
+    }
+    return { errors: files.flatMap((f) => eslintBaseline.get(f)) };
+  };
+  const baselineTsc = () => {
+    if (!tscBaseline) tscBaseline = runTsc(dir, timeoutMs);
+    return tscBaseline;
+  };
+
+  // Apply, check and roll back one patch
+  return function verifyPatch(patch) {
+    const normalized = normalizePatch(patch, (file) => readIn(dir, file));
+    if (!normalized.ok) return { status: 'unplaceable', checks: [], newErrors: [], reason: normalized.reason };
+
+    const files = normalized.files.map((f) => f.path);
+    const originals = new Map(files.map((f) => [f, readIn(dir, f)]));
+    const existing = files.filter((f) => originals.get(f) != null);
+    const checks = [];
+    const found = [];
+    const problems = [];
+
+    // Baselines first, while the copy is still unpatched
+    const lintBefore = existing.length ? baselineEslint(existing) : { errors: [] };
+    const tscBefore = files.some((f) => TS_FILE.test(f)) ? baselineTsc() : null;
+
+    const applied = spawnSync('git', ['apply', '--whitespace=nowarn', '-'], {
+      cwd: dir,
+      env: scratchEnv(),
+      input: normalized.patch,
+      encoding: 'utf8',
+    });
+    if (applied.status !== 0) {
+      return { status: 'unplaceable', checks: [], newErrors: [], reason: (applied.stderr || '').trim().split('\n')[0] };
+    }
+
+    try {
+      const present = files.filter((f) => fs.existsSync(path.join(dir, f)));
+      if (present.length) {
+        const lintAfter = lintBefore.error ? lintBefore : runEslint(dir, present, timeoutMs);
+        if (lintAfter.error) {
+          problems.push(lintAfter.error);
+        } else if (lintAfter.linted) {
+          checks.push('eslint');
+          found.push(...newErrors(lintBefore.errors, lintAfter.errors));
+        }
+      }
+      if (tscBefore) {
+        const tscAfter = tscBefore.error ? tscBefore : runTsc(dir, timeoutMs);
+        if (tscAfter.error) {
+          problems.push(tscAfter.error);
+        } else {
+          checks.push('tsc');
+          found.push(...newErrors(tscBefore.errors, tscAfter.errors));
+        }
+      }
+    } finally {
+      for (const [f, content] of originals) {
+        const full = path.join(dir, f);
+        if (content == null) fs.rmSync(full, { force: true });
+        else fs.writeFileSync(full, content, 'utf8');
+      }
+    }
+
+    if (found.length) return { status: 'failed', checks, newErrors: found };
+    if (!checks.length) {
+      return { status: 'skipped', checks, newErrors: [], reason: problems[0] || 'no eslint or tsc coverage for these files' };
+    }
+    return { status: 'passed', checks, newErrors: [], ...(problems.length ? { reason: problems.join('; ') } : {}) };
+  };
+}
+
+// Adds `verification` to every autofix with a patch. With onFailure "drop",
+// failed patches move from `autofixes` to `droppedAutofixes`.
+function verifyPayload(payload, { onFailure = 'demote', timeoutSeconds = 180 } = {}) {
+  const reviews = Array.isArray(payload.reviews) ? payload.reviews : [];
+  const pending = reviews.flatMap((entry) =>
+    entry.review && Array.isArray(entry.review.autofixes)
+      ? entry.review.autofixes.filter((fix) => typeof fix.patch === 'string' && fix.patch.trim())
+      : []
+  );
+  const counts = { passed: 0, failed: 0, unplaceable: 0, skipped: 0 };
+  if (!pending.length) return counts;
+
+  const dir = createScratchCopy(payload);
+  try {
+    const verifyPatch = createVerifier(dir, timeoutSeconds * 1000);
+    for (const fix of pending) {
+      fix.verification = verifyPatch(fix.patch);
+      counts[fix.verification.status] += 1;
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  if (onFailure === 'drop') {
+    for (const entry of reviews) {
+      const review = entry.review;
+      if (!review || !Array.isArray(review.autofixes)) continue;
+      const failed = review.autofixes.filter((fix) => fix.verification && fix.verification.status === 'failed');
+      if (!failed.length) continue;
+      review.autofixes = review.autofixes.filter((fix) => !failed.includes(fix));
+      review.droppedAutofixes = [...(review.droppedAutofixes || []), ...failed];
+    }
+  }
+  return counts;
+}
+
+function main() {
+  const file = process.argv[2] || path.join('.webpack-cache', 'ai-review', 'commit-with-review.json');
+  const { verify } = loadReviewConfig();
+  if (!verify.enabled) {
+    console.log('[ai-review] Autofix verification is disabled.');
+    return;
+  }
+
+  const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const counts = verifyPayload(payload, verify);
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (!total) {
+    console.log('[ai-review] No autofix patches to verify.');
+    return;
+  }
+  fs.writeFileSync(file, JSON.stringify(payload, null, 2));
+  const dropped = verify.onFailure === 'drop' && counts.failed ? ', dropped the failed ones' : '';
+  console.log(
+    `[ai-review] Verified ${total} autofix patch(es): ${counts.passed} passed, ${counts.failed} failed, ` +
+      `${counts.unplaceable} could not be placed, ${counts.skipped} not checked${dropped}.`
+  );
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    // Verification is advisory; a broken check must not block the commit
+    console.error(`[ai-review] Autofix verification failed: ${e.message}`);
+  }
+}
+
+module.exports = { verifyPayload };
@@ -0,0 +1,15 @@
+const { progressBar } = require('./progressBar.js');
+
+// While the progress bar is drawn on a terminal, routine messages are held
+// back; warnings and errors erase the bar and print in its place
+const quiet = () => progressBar.interactive && progressBar.active;
+
+const log = {
+  step: (msg) => { if (!quiet()) console.log(`\n🔵 ${msg}`); },
+  success: (msg) => { if (!quiet()) console.log(`✅ ${msg}`); },
+  warn: (msg) => { progressBar.clear(); console.log(`⚠️  ${msg}`); },
+  error: (msg) => { progressBar.clear(); console.error(`❌ ${msg}`); },
+  info: (msg) => { if (!quiet()) console.log(`ℹ️  ${msg}`); },
+};
+
+module.exports = { log };
@@ -2,33 +2,55 @@ const progressBar = {
   total: 0,
   current: 0,
   bar_length: 30,
-  
-  init(total) {
+  label: '',
+
+  // Bars only make sense on a terminal; elsewhere each update is one line
+  get interactive() {
+    return Boolean(process.stdout.isTTY);
+  },
+
+  get active() {
+    return this.total > 0 && this.current < this.total;
+  },
+
+  init(total, label = '') {
     this.total = total;
     this.current = 0;
-    this.update(0);
+    this.label = label;
+    if (total > 0) this.update(0);
   },
-  
+
   update(current) {
     this.current = current;
-    const percentage = this.current / this.total;
+    const percentage = this.total > 0 ? this.current / this.total : 1;
     const filled_length = Math.round(this.bar_length * percentage);
     const empty_length = this.bar_length - filled_length;
-    
+
     const filled = "█".repeat(filled_length);
     const empty = "░".repeat(empty_length);
     const percent = Math.round(percentage * 100);
-    
-    process.stdout.write(`\r${filled}${empty} ${percent}% | ${this.current}/${this.total}`);
-    
+    const label = this.label ? `${this.label} ` : '';
+
+    if (!this.interactive) {
+      process.stdout.write(`${label}${percent}% | ${this.current}/${this.total}\n`);
+      return;
+    }
+
+    process.stdout.write(`\r${label}${filled}${empty} ${percent}% | ${this.current}/${this.total}`);
+
     if (this.current === this.total) {
       process.stdout.write('\n');
     }
   },
-  
+
   increment() {
     this.update(this.current + 1);
+  },
+
+  // Erase the bar so a log line can be printed; the next update redraws it
+  clear() {
+    if (this.interactive && this.active) process.stdout.write('\r\x1b[K');
   }
 };
 
-export { progressBar };
+module.exports = { progressBar };